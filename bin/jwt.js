@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { decodeToken } from '../src/lib/decode.js';
+import { decodeSecret } from '../src/lib/verify.js';
+import { resolveSigningKey, signToken, verifyAndValidate, reExpireTokens, formatBatchError } from '../src/lib/token.js';
+import { lintToken, DEFAULT_LINT_OPTIONS } from '../src/lib/lint.js';
+import { DEFAULT_VALIDATION_OPTIONS } from '../src/lib/validation.js';
+import { isHmacAlgorithm } from '../src/lib/keys.js';
+import { isCompactJwe } from '../src/lib/jwe.js';
+import { resolvePlaceholders } from '../src/lib/templates.js';
+import { nowInSeconds } from '../src/lib/time.js';
+
+// Exit codes: 0 success, 1 verification / lint / re-sign failed, 2 usage or input error
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: jwt <command> [token...] [options]
+
+Commands:
+  decode    Decode a JWS or JWE without verifying it
+  verify    Verify the signature and validate claims
+  sign      Sign a JSON payload (argument or stdin)
+  re-exp    Re-sign tokens with a new exp, one token per line
+  lint      Report security issues in a token
+
+Tokens (and the sign payload) are read from the arguments, or from stdin when omitted.
+The sign header and payload may use placeholders: {{now}}, {{now+1h}}, {{iat+5m}},
+{{uuid}} and {{random:16}} are replaced with fresh values at sign time. Placeholders go
+inside JSON strings; a string that is only a time placeholder becomes a number:
+  jwt sign '{"sub":"1","iat":"{{now}}","exp":"{{now+1h}}"}' --secret "$JWT_SECRET"
+
+Key options:
+  --secret <text>          HMAC secret (defaults to $JWT_SECRET)
+  --base64                 The secret is base64-encoded
+  --key <file>             PEM or JWK file: private key for sign/re-exp, public or private for verify
+  --jwks <file>            JWKS file for verify
+  --x5c                    verify: use the leaf certificate of the token's protected x5c header;
+                           the chain must lead to a --trust-anchor, otherwise it is untrusted
+  --trust-anchor <file>    verify: PEM file with the CA certificate(s) x5c chains must lead to
+
+Command options:
+  --alg <alg>              sign: signing algorithm (default HS256; "none" for unsigned test tokens)
+  --header <json>          sign: extra protected header parameters
+  --detached               sign: leave the payload out of the token (header..signature)
+  --unencoded              sign: sign the payload as-is ("b64": false, RFC 7797)
+  --payload <file>         verify, lint: payload of a detached token, byte for byte
+  --exp <value>            re-exp: new exp as epoch seconds, an ISO 8601 date or an expression
+                           such as +1h, 30d, iat+3600, "tomorrow 09:00 KST" or PT15M
+  --tz <zone>              re-exp, sign: time zone for dates without a zone (default local)
+  --issuer <iss>           verify: expected iss (also --audience, --subject, --type)
+  --algorithms <list>      verify: comma-separated allowed algorithms
+  --clock-skew <seconds>   verify: leeway for exp/nbf/iat (default ${DEFAULT_VALIDATION_OPTIONS.clockSkew})
+  --max-lifetime-hours <n> lint: longest acceptable exp - iat (default ${DEFAULT_LINT_OPTIONS.maxLifetimeHours})
+
+Output:
+  --json                   Print JSON instead of text
+  -h, --help               Show this help
+
+Exit codes: 0 success, 1 verification/lint/re-sign failed, 2 usage or input error`;
+
+const OPTIONS = {
+  secret: { type: 'string' },
+  base64: { type: 'boolean' },
+  key: { type: 'string' },
+  jwks: { type: 'string' },
+  x5c: { type: 'boolean' },
+  'trust-anchor': { type: 'string' },
+  alg: { type: 'string', default: 'HS256' },
+  header: { type: 'string' },
+  detached: { type: 'boolean' },
+  unencoded: { type: 'boolean' },
+  payload: { type: 'string' },
+  exp: { type: 'string' },
+  tz: { type: 'string', default: 'local' },
+  issuer: { type: 'string' },
+  audience: { type: 'string' },
+  subject: { type: 'string' },
+  type: { type: 'string' },
+  algorithms: { type: 'string' },
+  'clock-skew': { type: 'string' },
+  'max-lifetime-hours': { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+class UsageError extends Error {}
+
+const readStdin = async () => {
+  if (process.stdin.isTTY) {
+    return '';
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Positional arguments, or the non-empty lines of stdin
+const readInputs = async (positionals) => {
+  if (positionals.length > 0) {
+    return positionals;
+  }
+  return (await readStdin()).split('\n').map(line => line.trim()).filter(Boolean);
+};
+
+const readSingleToken = async (positionals) => {
+  const [token] = await readInputs(positionals);
+  if (!token) {
+    throw new UsageError('No token given. Pass it as an argument or on stdin.');
+  }
+  return token;
+};
+
+const readTextFile = async (path) => {
+  try {
+    return await readFile(path, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Cannot read ${path}: ${error.message}`);
+  }
+};
+
+const readKeys = async (values) => {
+  const secret = values.secret ?? process.env.JWT_SECRET;
+  let secretBytes = null;
+  if (secret !== undefined) {
+    try {
+      secretBytes = decodeSecret(secret, values.base64 ? 'base64' : 'text');
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  }
+  const keyText = values.key ? await readTextFile(values.key) : '';
+  return {
+    secretBytes,
+    keyText,
+    privateKeyText: keyText,
+    jwksText: values.jwks ? await readTextFile(values.jwks) : '',
+    x5c: Boolean(values.x5c),
+    trustAnchors: values['trust-anchor'] ? await readTextFile(values['trust-anchor']) : '',
+  };
+};
+
+// Non-negative number option, e.g. --clock-skew 30
+const parseNumberOption = (values, name) => {
+  const value = Number(values[name]);
+  if (values[name].trim() === '' || !Number.isFinite(value) || value < 0) {
+    throw new UsageError(`--${name} must be a non-negative number, got "${values[name]}"`);
+  }
+  return value;
+};
+
+const parseJsonArgument = (text, name) => {
+  try {
+    const value = JSON.parse(text);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('expected a JSON object');
+    }
+    return value;
+  } catch (error) {
+    throw new UsageError(`Invalid ${name}: ${error.message}`);
+  }
+};
+
+const printJson = (value) => console.log(JSON.stringify(value, null, 2));
+
+const printTimestamps = (timestamps) => {
+  const claims = Object.keys(timestamps);
+  if (claims.length === 0) return;
+  console.log('\nTimestamps:');
+  claims.forEach(claim => {
+    const { iso, relative } = timestamps[claim];
+    console.log(`  ${claim.padEnd(10)} ${iso} (${relative})`);
+  });
+};
+
+const STATUS_MARKS = { pass: 'PASS', fail: 'FAIL', warn: 'WARN' };
+
+const runDecode = async (positionals, values) => {
+  const token = await readSingleToken(positionals);
+  let decoded;
+  try {
+    decoded = decodeToken(token);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (values.json) {
+    printJson(decoded);
+    return EXIT_OK;
+  }
+  console.log(`Format: ${decoded.format.toUpperCase()}\n\nHeader:`);
+  printJson(decoded.header);
+  if (decoded.payload) {
+    console.log('\nPayload:');
+    printJson(decoded.payload);
+  } else {
+    console.log(decoded.format === 'jwe' ? '\nPayload is encrypted.' : '\nPayload is detached.');
+  }
+  printTimestamps(decoded.timestamps);
+  return EXIT_OK;
+};
+
+const runVerify = async (positionals, values) => {
+  const token = await readSingleToken(positionals);
+  if (isCompactJwe(token)) {
+    throw new UsageError('Encrypted tokens (JWE) cannot be verified');
+  }
+  const keys = await readKeys(values);
+  if (!keys.secretBytes && !keys.keyText && !keys.jwksText && !keys.x5c) {
+    throw new UsageError('Provide --secret (or $JWT_SECRET), --key, --jwks or --x5c');
+  }
+  if (values.payload) {
+    keys.detachedPayload = await readTextFile(values.payload);
+  }
+
+  const expected = {
+    issuer: values.issuer ?? '',
+    audience: values.audience ?? '',
+    subject: values.subject ?? '',
+    type: values.type ?? '',
+    allowedAlgorithms: values.algorithms ?? '',
+  };
+  if (values['clock-skew'] !== undefined) {
+    expected.clockSkew = parseNumberOption(values, 'clock-skew');
+  }
+
+  let report;
+  try {
+    report = await verifyAndValidate(token, keys, expected);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (values.json) {
+    printJson(report);
+  } else {
+    const { signature } = report;
+    console.log(signature.verified
+      ? `Signature: verified (${signature.alg}, ${signature.key})`
+      : `Signature: ${signature.untrusted ? 'UNTRUSTED' : 'FAILED'} - ${signature.reason}`);
+    console.log('\nClaims:');
+    report.claims.forEach(check => {
+      console.log(`  ${STATUS_MARKS[check.status]}  ${check.label}: ${check.message}`);
+    });
+    printTimestamps(report.timestamps);
+    console.log(`\nResult: ${report.valid ? 'valid' : 'invalid'}`);
+  }
+  return report.valid ? EXIT_OK : EXIT_FAILED;
+};
+
+const runSign = async (positionals, values) => {
+  const payloadText = positionals.length > 0 ? positionals.join(' ') : await readStdin();
+  if (!payloadText.trim()) {
+    throw new UsageError('No payload given. Pass JSON as an argument or on stdin.');
+  }
+  let header;
+  let payload;
+  try {
+    const now = nowInSeconds();
+    payload = resolvePlaceholders(parseJsonArgument(payloadText, 'payload'), { now, timeZone: values.tz });
+    header = resolvePlaceholders({
+      alg: values.alg,
+      typ: 'JWT',
+      ...(values.unencoded ? { b64: false, crit: ['b64'] } : {}),
+      ...(values.header ? parseJsonArgument(values.header, '--header') : {}),
+    }, { now, timeZone: values.tz });
+  } catch (error) {
+    throw error instanceof UsageError ? error : new UsageError(error.message);
+  }
+
+  const keys = await readKeys(values);
+  let token;
+  try {
+    const signingKey = await resolveSigningKey(header.alg, keys);
+    token = await signToken(header, payload, signingKey, { detached: Boolean(values.detached) });
+  } catch (error) {
+    throw new UsageError(`Cannot sign with ${header.alg}: ${error.message}`);
+  }
+
+  if (values.json) {
+    printJson({ token, header, payload, ...(values.detached ? { detachedPayload: JSON.stringify(payload) } : {}) });
+  } else {
+    console.log(token);
+  }
+  return EXIT_OK;
+};
+
+const runReExp = async (positionals, values) => {
+  if (values.exp === undefined) {
+    throw new UsageError('--exp is required');
+  }
+  const tokens = await readInputs(positionals);
+  if (tokens.length === 0) {
+    throw new UsageError('No tokens given. Pass them as arguments or one per line on stdin.');
+  }
+
+  // The expression is resolved per token, so "iat+1h" keeps each token's own lifetime
+  const { processed, errors } = await reExpireTokens(tokens, values.exp, await readKeys(values), values.tz);
+  if (values.json) {
+    printJson({
+      exp: values.exp,
+      tokens: processed.map(({ lineNumber, original, newToken, newExp }) => ({ line: lineNumber, original, token: newToken, exp: newExp })),
+      errors,
+    });
+  } else {
+    processed.forEach(({ newToken }) => console.log(newToken));
+    errors.forEach(error => console.error(formatBatchError(error)));
+  }
+  return errors.length > 0 ? EXIT_FAILED : EXIT_OK;
+};
+
+const runLint = async (positionals, values) => {
+  const token = await readSingleToken(positionals);
+  let decoded;
+  try {
+    decoded = decodeToken(token);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (decoded.format === 'jwe') {
+    throw new UsageError('Encrypted tokens (JWE) cannot be linted without decrypting them');
+  }
+
+  let payload = decoded.payload;
+  if (payload === null && values.payload) {
+    payload = parseJsonArgument(await readTextFile(values.payload), 'detached payload');
+  }
+
+  const { secretBytes } = await readKeys({ ...values, key: undefined, jwks: undefined });
+  const findings = lintToken(decoded.header, payload, {
+    maxLifetimeHours: values['max-lifetime-hours'] !== undefined
+      ? parseNumberOption(values, 'max-lifetime-hours')
+      : DEFAULT_LINT_OPTIONS.maxLifetimeHours,
+    secretLength: isHmacAlgorithm(decoded.header.alg) && secretBytes ? secretBytes.length : null,
+  });
+
+  if (values.json) {
+    printJson({ findings });
+  } else if (findings.length === 0) {
+    console.log('No issues found');
+  } else {
+    findings.forEach(({ severity, target, claim, message }) => {
+      const location = claim ? `${target}.${claim}` : target;
+      console.log(`${severity.padEnd(8)} ${location.padEnd(20)} ${message}`);
+    });
+  }
+  return findings.some(item => item.severity === 'error') ? EXIT_FAILED : EXIT_OK;
+};
+
+const COMMANDS = {
+  decode: runDecode,
+  verify: runVerify,
+  sign: runSign,
+  're-exp': runReExp,
+  lint: runLint,
+};
+
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const [command, ...positionals] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    console.log(USAGE);
+    return parsed.values.help ? EXIT_OK : EXIT_USAGE;
+  }
+  if (!Object.hasOwn(COMMANDS, command)) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    return await COMMANDS[command](positionals, parsed.values);
+  } catch (error) {
+    console.error(`jwt ${command}: ${error.message}`);
+    return error instanceof UsageError ? EXIT_USAGE : EXIT_FAILED;
+  }
+};
+
+process.exitCode = await main(process.argv.slice(2));
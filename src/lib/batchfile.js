@@ -0,0 +1,258 @@
+import { decodeProtectedHeader, decodeJwt } from 'jose';
+import { splitToken } from './decode.js';
+
+// Import tokens for the batch editor from CSV, NDJSON and HAR files, and export results.
+// Every extracted token becomes a record { token, source, context } where `source` says
+// where it was found and `context` holds the surrounding columns/fields to export again.
+
+// Compact JWS (3 parts) or JWE (5 parts); header always starts with base64url "{"
+const TOKEN_PATTERN = /eyJ[A-Za-z0-9_-]*(?:\.[A-Za-z0-9_-]*){2,4}/g;
+
+// Every token in a piece of text with the index it starts at, duplicates included
+export const locateTokens = (text) => {
+  if (typeof text !== 'string') return [];
+  const found = [];
+  [...text.matchAll(TOKEN_PATTERN)].forEach(({ 0: match, index }) => {
+    const parts = match.split('.');
+    // A 4-part match is a JWS followed by a dot, a 5-part one may be a JWE
+    const candidates = parts.length === 5 ? [match, parts.slice(0, 3).join('.')] : [parts.slice(0, 3).join('.')];
+    const token = candidates.find(candidate => splitToken(candidate));
+    if (token) {
+      found.push({ token, index });
+    }
+  });
+  return found;
+};
+
+// All distinct tokens in a piece of text (Authorization values, cookies, URLs, log lines)
+export const findTokens = (text) => [...new Set(locateTokens(text).map(({ token }) => token))];
+
+export const detectBatchFileFormat = (fileName, text) => {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.har')) return 'har';
+  if (name.endsWith('.csv')) return 'csv';
+  if (name.endsWith('.ndjson') || name.endsWith('.jsonl')) return 'ndjson';
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') && trimmed.includes('"log"') && trimmed.includes('"entries"')) return 'har';
+  if (trimmed.startsWith('{')) return 'ndjson';
+  return 'csv';
+};
+
+// RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF line endings
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const escapeCsvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Objects with possibly different keys -> CSV with the union of columns in first-seen order
+export const toCsv = (rows) => {
+  const columns = [];
+  rows.forEach(row => Object.keys(row).forEach(column => {
+    if (!columns.includes(column)) columns.push(column);
+  }));
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escapeCsvField).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+export const toNdjson = (rows) => rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+
+// Column that most likely holds the tokens: the first one with a token in any row
+export const guessTokenColumn = (rows) => {
+  const [columns, ...dataRows] = rows;
+  if (!columns) return 0;
+  const index = columns.findIndex((column, i) => dataRows.some(cells => findTokens(cells[i]).length > 0));
+  return Math.max(index, 0);
+};
+
+export const extractFromCsv = (text, tokenColumn) => {
+  const [columns = [], ...dataRows] = parseCsv(text);
+  const records = [];
+  const errors = [];
+  dataRows.forEach((cells, rowIndex) => {
+    const tokens = findTokens(cells[tokenColumn]);
+    if (tokens.length === 0) {
+      errors.push(`Row ${rowIndex + 2}: no token in column "${columns[tokenColumn]}"`);
+      return;
+    }
+    const context = {};
+    columns.forEach((column, i) => {
+      if (i !== tokenColumn) context[column] = cells[i] ?? '';
+    });
+    tokens.forEach(token => records.push({ token, source: `row ${rowIndex + 2}`, context }));
+  });
+  return { records, errors };
+};
+
+// Depth-first walk over every string in a JSON value, with a dotted path
+const collectStrings = (value, path, visit) => {
+  if (typeof value === 'string') {
+    visit(value, path);
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => collectStrings(child, path ? `${path}.${key}` : key, visit));
+  }
+};
+
+export const extractFromNdjson = (text) => {
+  const records = [];
+  const errors = [];
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      errors.push(`Line ${index + 1}: not valid JSON`);
+      return;
+    }
+
+    // Top-level scalars are the context; fields carrying the token itself are left out
+    const context = {};
+    if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+      Object.entries(entry).forEach(([key, value]) => {
+        if (value === null || typeof value !== 'object') {
+          if (findTokens(String(value)).length === 0) context[key] = value;
+        }
+      });
+    }
+
+    collectStrings(entry, '', (value, path) => {
+      findTokens(value).forEach(token => records.push({ token, source: `line ${index + 1} ${path}`.trim(), context }));
+    });
+  });
+  return { records, errors };
+};
+
+const decodeURIComponentSafe = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Where tokens hide in a HAR entry: headers (Authorization, Cookie, Set-Cookie), cookies,
+// query strings, form params and bodies, for both request and response
+const harLocations = (entry) => {
+  const { request = {}, response = {} } = entry;
+  const locations = [];
+  (request.headers || []).forEach(({ name, value }) => locations.push([`request header ${name}`, value]));
+  (request.cookies || []).forEach(({ name, value }) => locations.push([`request cookie ${name}`, value]));
+  (request.queryString || []).forEach(({ name, value }) => locations.push([`query ${name}`, decodeURIComponentSafe(value)]));
+  if (request.postData) {
+    (request.postData.params || []).forEach(({ name, value }) => locations.push([`form ${name}`, value]));
+    locations.push(['request body', request.postData.text]);
+  }
+  (response.headers || []).forEach(({ name, value }) => locations.push([`response header ${name}`, value]));
+  (response.cookies || []).forEach(({ name, value }) => locations.push([`response cookie ${name}`, value]));
+  if (response.content && response.content.encoding !== 'base64') {
+    locations.push(['response body', response.content.text]);
+  }
+  return locations;
+};
+
+export const extractFromHar = (text) => {
+  let har;
+  try {
+    har = JSON.parse(text);
+  } catch (error) {
+    return { records: [], errors: ['HAR file is not valid JSON: ' + error.message] };
+  }
+  const entries = har && har.log && Array.isArray(har.log.entries) ? har.log.entries : null;
+  if (!entries) {
+    return { records: [], errors: ['Not a HAR file: missing log.entries'] };
+  }
+
+  const records = [];
+  entries.forEach(entry => {
+    const context = {
+      startedDateTime: entry.startedDateTime || '',
+      method: entry.request?.method || '',
+      url: entry.request?.url || '',
+      response_status: entry.response?.status ?? ''
+    };
+    const seen = [];
+    harLocations(entry).forEach(([source, value]) => {
+      findTokens(value).forEach(token => {
+        // The same token usually shows up in several headers of one request
+        if (seen.includes(token)) return;
+        seen.push(token);
+        records.push({ token, source, context });
+      });
+    });
+  });
+  return { records, errors: [] };
+};
+
+const cellValue = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+
+const safeDecode = (token) => {
+  try {
+    return { header: decodeProtectedHeader(token), payload: splitToken(token).format === 'jws' ? decodeJwt(token) : null };
+  } catch (error) {
+    return { header: null, payload: null };
+  }
+};
+
+// One export row per record: context columns first, then the outcome and the decoded claims.
+// `results` is the batch outcome keyed by record index: { newToken, header, payload } or { error }.
+export const buildExportRows = (records, results = {}, flatten = true) => records.map((record, index) => {
+  const result = results[index] || {};
+  const decoded = result.payload ? result : safeDecode(record.token);
+  const row = {
+    ...record.context,
+    source: record.source,
+    status: result.error ? 'error' : result.newToken ? 'rewritten' : 'unchanged',
+    error: result.error || '',
+    token: record.token,
+    new_token: result.newToken || ''
+  };
+  if (!flatten) {
+    return { ...row, header: decoded.header, payload: decoded.payload };
+  }
+  Object.entries(decoded.header || {}).forEach(([name, value]) => {
+    row[`header.${name}`] = cellValue(value);
+  });
+  Object.entries(decoded.payload || {}).forEach(([name, value]) => {
+    row[`claim.${name}`] = cellValue(value);
+  });
+  return row;
+});
@@ -0,0 +1,78 @@
+import { NUMERIC_DATE_CLAIMS } from './time.js';
+import { findDateClaims } from './timeline.js';
+
+// Helpers for the structured payload editor: which input each claim gets,
+// and the starting value of a newly added claim.
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Input kind for a claim: 'date', 'audience' (string or list of strings), 'string', 'number',
+// 'boolean', 'null', 'string-list', 'object', or 'json' for anything else (mixed arrays)
+export const getClaimKind = (name, value, parent) => {
+  if (findDateClaims(parent).includes(name)) return 'date';
+  if (name === 'aud' && (typeof value === 'string' || isStringArray(value))) return 'audience';
+  if (value === null) return 'null';
+  if (isStringArray(value)) return 'string-list';
+  if (Array.isArray(value)) return 'json';
+  if (typeof value === 'object') return 'object';
+  return typeof value;
+};
+
+export const CLAIM_KIND_LABELS = {
+  date: 'date',
+  audience: 'string or list',
+  string: 'text',
+  number: 'number',
+  boolean: 'boolean',
+  null: 'null',
+  'string-list': 'list',
+  object: 'object',
+  json: 'JSON'
+};
+
+// Kinds offered when adding a claim
+export const NEW_CLAIM_KINDS = [
+  { id: 'string', label: 'Text' },
+  { id: 'number', label: 'Number' },
+  { id: 'boolean', label: 'Boolean' },
+  { id: 'date', label: 'Date' },
+  { id: 'string-list', label: 'List' },
+  { id: 'object', label: 'Object' }
+];
+
+export const defaultClaimValue = (kind, now) => {
+  switch (kind) {
+    case 'number':
+      return 0;
+    case 'boolean':
+      return true;
+    case 'date':
+      return now;
+    case 'string-list':
+      return [];
+    case 'object':
+      return {};
+    default:
+      return '';
+  }
+};
+
+// Kind to preselect for a new claim: dates for registered NumericDate names,
+// otherwise whatever the schema declares (falls back to text)
+export const suggestClaimKind = (name, propertySchema) => {
+  if (NUMERIC_DATE_CLAIMS.includes(name)) return 'date';
+  const type = Array.isArray(propertySchema?.type) ? propertySchema.type[0] : propertySchema?.type;
+  switch (type) {
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'array':
+      return 'string-list';
+    case 'object':
+      return 'object';
+    default:
+      return 'string';
+  }
+};
@@ -0,0 +1,22 @@
+import { decodeToken } from './decode.js';
+import { diffObjects } from './patch.js';
+import { NUMERIC_DATE_CLAIMS, isNumericDate, formatDelta } from './time.js';
+
+// Compare token A with token B ("added" means only B has it). Every header and payload
+// member is listed so both tokens can be shown side by side; NumericDate claims present
+// in both get a signed delta, e.g. { seconds: 7200, label: "+2h" }.
+// Resolves to { a, b, rows: [{ path, type, before, after, delta }] }; throws on undecodable input.
+export const compareTokens = (tokenA, tokenB) => {
+  const a = decodeToken(tokenA);
+  const b = decodeToken(tokenB);
+  const rows = [
+    ...diffObjects(a.header, b.header, 'header', { includeUnchanged: true }),
+    ...diffObjects(a.payload || {}, b.payload || {}, 'payload', { includeUnchanged: true })
+  ].map(row => {
+    const claim = row.path.startsWith('payload.') ? row.path.slice('payload.'.length) : null;
+    const isTimestamp = NUMERIC_DATE_CLAIMS.includes(claim) && isNumericDate(row.before) && isNumericDate(row.after);
+    const seconds = isTimestamp ? row.after - row.before : null;
+    return { ...row, delta: isTimestamp ? { seconds, label: formatDelta(seconds) } : null };
+  });
+  return { a, b, rows };
+};
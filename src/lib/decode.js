@@ -0,0 +1,110 @@
+import { decodeProtectedHeader, decodeJwt, base64url } from 'jose';
+import { isCompactJwe, splitCompactJwe } from './jwe.js';
+import { isUnencodedPayload } from './jws.js';
+import { NUMERIC_DATE_CLAIMS, isNumericDate, formatRelative, nowInSeconds } from './time.js';
+
+export const INVALID_FORMAT_MESSAGE = 'Invalid JWT format. Token must have 3 parts (header.payload.signature) or 5 parts for JWE (header.key.iv.ciphertext.tag)';
+
+// Raw base64url segments of a compact token, or null when it is neither a JWS nor a JWE.
+// The signature segment may be empty (unsecured JWS), and so may the payload (detached JWS).
+export const splitToken = (token) => {
+  const trimmed = token.trim();
+  if (isCompactJwe(trimmed)) {
+    return { format: 'jwe', ...splitCompactJwe(trimmed) };
+  }
+  const parts = trimmed.split('.');
+  if (parts.length === 3 && parts[0] && (parts[1] || parts[2])) {
+    return { format: 'jws', header: parts[0], payload: parts[1], signature: parts[2], detached: !parts[1] };
+  }
+  return null;
+};
+
+const parseUnencodedPayload = (text) => {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Unencoded payload is not JSON: ' + error.message);
+  }
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('Unencoded payload must be a JSON object');
+  }
+  return payload;
+};
+
+// Claims of a compact JWS: null when the payload is detached, the payload text itself when it is
+// unencoded (RFC 7797). Throws when the payload is not a JSON object.
+export const decodeJwsPayload = (token, header = decodeProtectedHeader(token.trim())) => {
+  const [, payloadSegment] = token.trim().split('.');
+  if (!payloadSegment) return null;
+  if (!isUnencodedPayload(header)) return decodeJwt(token.trim());
+  return parseUnencodedPayload(payloadSegment);
+};
+
+// Claims of a parsed JSON JWS (see parseJsonJws), with the same rules as decodeJwsPayload.
+// RFC 7797 requires every signature to agree on "b64", so the first one decides.
+export const decodeJsonJwsPayload = (jws) => {
+  if (jws.payload === undefined) return null;
+  if (isUnencodedPayload(jws.signatures[0].protectedHeader)) return parseUnencodedPayload(jws.payload);
+  let payload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(base64url.decode(jws.payload)));
+  } catch (error) {
+    throw new Error('Payload is not base64url-encoded JSON');
+  }
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('Payload must be a JSON object');
+  }
+  return payload;
+};
+
+// Human-readable form of every NumericDate claim present in the payload
+export const describeTimestamps = (payload, now = nowInSeconds()) => {
+  const timestamps = {};
+  NUMERIC_DATE_CLAIMS.forEach(claim => {
+    if (isNumericDate(payload[claim])) {
+      timestamps[claim] = {
+        epoch: payload[claim],
+        iso: new Date(payload[claim] * 1000).toISOString(),
+        relative: formatRelative(payload[claim], now)
+      };
+    }
+  });
+  return timestamps;
+};
+
+// Decode a compact JWS or JWE without verifying it.
+// Resolves to { format, header, payload, segments, timestamps }; payload is null for JWE
+// and detached JWS.
+export const decodeToken = (token) => {
+  const trimmed = token.trim();
+  const parts = splitToken(trimmed);
+  if (!parts) {
+    throw new Error(INVALID_FORMAT_MESSAGE);
+  }
+
+  if (parts.format === 'jwe') {
+    const { format, ...segments } = parts;
+    return {
+      format,
+      header: decodeProtectedHeader(trimmed),
+      payload: null,
+      segments: Object.fromEntries(Object.entries(segments).map(([name, value]) => [name, value.length])),
+      timestamps: {}
+    };
+  }
+
+  const header = decodeProtectedHeader(trimmed);
+  const payload = decodeJwsPayload(trimmed, header);
+  return {
+    format: 'jws',
+    header,
+    payload,
+    segments: {
+      header: parts.header.length,
+      payload: parts.payload.length,
+      signature: parts.signature.length
+    },
+    timestamps: payload ? describeTimestamps(payload) : {}
+  };
+};
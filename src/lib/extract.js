@@ -0,0 +1,49 @@
+import { locateTokens } from './batchfile.js';
+
+// Find the JWTs in pasted text that is not a bare token: HTTP headers, cURL / HTTPie commands,
+// Cookie and Set-Cookie lines, URLs with tokens in the query or fragment, and JSON log lines.
+// Each token is labelled with where it was found, judged from the text before it on its line.
+
+// [pattern, (match, before) => source]; the first pattern that matches the line prefix wins
+const SOURCE_RULES = [
+  [/([^=;\s"':]+)=["']?$/, (match, before) => (
+    /\bset-cookie\b/i.test(before) ? `Set-Cookie "${match[1]}"`
+      : /\bcookie\s*:|\s(?:-b|--cookie)\s/i.test(before) ? `Cookie "${match[1]}"`
+        : null
+  )],
+  [/\bauthorization\s*[:=]\s*["']?\s*(?:(\w+)\s+)?$/i, (match) => (
+    match[1] ? `Authorization header (${match[1]})` : 'Authorization header'
+  )],
+  [/\\?"([^"\\]+)\\?"\s*:\s*\\?"(?:bearer\s+)?$/i, (match) => `JSON field "${match[1]}"`],
+  [/([A-Za-z][\w-]*)\s*:\s*["']?(?:bearer\s+)?$/i, (match) => `${match[1]} header`],
+  [/[?&#]([^=&#?\s]+)=$/, (match, before) => {
+    const url = before.slice(before.search(/\S*$/));
+    return url.includes('#') ? `URL fragment "${match[1]}"` : `Query parameter "${match[1]}"`;
+  }],
+  [/([\w.-]+)\s*={1,2}\s*["']?$/, (match) => `"${match[1]}" value`]
+];
+
+const describeSource = (before) => {
+  for (const [pattern, describe] of SOURCE_RULES) {
+    const match = pattern.exec(before);
+    const source = match && describe(match, before);
+    if (source) return source;
+  }
+  return 'Text';
+};
+
+// Tokens in free-form text as [{ token, source }], each token once (where it first appears).
+// Returns [] when the text is a bare token or holds none.
+export const extractTokens = (text) => {
+  if (typeof text !== 'string') return [];
+  const located = locateTokens(text);
+  if (located.length === 1 && located[0].token === text.trim()) return [];
+  const results = [];
+  located.forEach(({ token, index }) => {
+    if (results.some(result => result.token === token)) return;
+    const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+    const before = text.slice(Math.max(lineStart, index - 200), index);
+    results.push({ token, source: describeSource(before) });
+  });
+  return results;
+};
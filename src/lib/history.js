@@ -0,0 +1,139 @@
+import { isNumericDate, nowInSeconds } from './time.js';
+
+export const HISTORY_STORAGE_KEY = 'jwtTokenHistory';
+export const HISTORY_SETTINGS_STORAGE_KEY = 'jwtHistorySettings';
+
+export const DEFAULT_HISTORY_SETTINGS = {
+  maxEntries: 50
+};
+
+// Wait for typing to pause before recording a regenerated token
+export const HISTORY_DEBOUNCE_MS = 1500;
+
+const EXPORT_VERSION = 1;
+
+// Older versions used Date.now(), which repeats for tokens saved in the same millisecond
+const newEntryId = () => crypto.randomUUID();
+
+// Fill in fields missing from entries saved by older versions
+const normalizeEntry = (entry) => ({
+  id: entry.id ?? newEntryId(),
+  token: entry.token,
+  header: entry.header ?? {},
+  payload: entry.payload ?? {},
+  timestamp: entry.timestamp ?? new Date().toISOString(),
+  label: entry.label ?? '',
+  pinned: Boolean(entry.pinned),
+  key: entry.key ?? null
+});
+
+const isValidEntry = (entry) => entry && typeof entry === 'object' && typeof entry.token === 'string' && entry.token !== '';
+
+// Give every entry whose id is in `takenIds` or used by an earlier entry a fresh id
+const withUniqueIds = (history, takenIds = []) => {
+  const seen = new Set(takenIds);
+  return history.map(entry => {
+    const unique = seen.has(entry.id) ? { ...entry, id: newEntryId() } : entry;
+    seen.add(unique.id);
+    return unique;
+  });
+};
+
+// Pinned entries first, then newest first
+export const sortHistory = (history) => [...history].sort((a, b) => {
+  if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+  return new Date(b.timestamp) - new Date(a.timestamp);
+});
+
+// Keep every pinned entry and fill the remaining slots with the newest unpinned ones
+export const trimHistory = (history, maxEntries) => {
+  const sorted = sortHistory(history);
+  const pinned = sorted.filter(entry => entry.pinned);
+  const unpinned = sorted.filter(entry => !entry.pinned);
+  return [...pinned, ...unpinned.slice(0, Math.max(0, maxEntries - pinned.length))];
+};
+
+// Add a token, moving an identical existing token to the top instead of duplicating it.
+// `key` describes the signing key ({ alg, kid, source }) - never the key material itself.
+export const addHistoryEntry = (history, { token, header, payload, key = null }, maxEntries) => {
+  const existing = history.find(entry => entry.token === token);
+  const entry = normalizeEntry({
+    ...existing,
+    id: existing?.id ?? newEntryId(),
+    token,
+    header,
+    payload,
+    key,
+    timestamp: new Date().toISOString()
+  });
+  const others = history.filter(item => item.token !== token);
+  return trimHistory([entry, ...others], maxEntries);
+};
+
+export const updateHistoryEntry = (history, id, changes) => history.map(entry => (
+  entry.id === id ? { ...entry, ...changes } : entry
+));
+
+export const removeHistoryEntry = (history, id) => history.filter(entry => entry.id !== id);
+
+// Every whitespace-separated term must appear in the label, header or payload claims
+export const searchHistory = (history, query) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return history;
+
+  return history.filter(entry => {
+    const haystack = [
+      entry.label,
+      JSON.stringify(entry.header),
+      JSON.stringify(entry.payload)
+    ].join(' ').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+};
+
+// Validity of an entry right now: 'live', 'expired', 'pending' (nbf in the future) or 'no-exp'
+export const getHistoryEntryStatus = (entry, now = nowInSeconds()) => {
+  const { exp, nbf } = entry.payload || {};
+  if (isNumericDate(exp) && exp <= now) return 'expired';
+  if (isNumericDate(nbf) && nbf > now) return 'pending';
+  if (!isNumericDate(exp)) return 'no-exp';
+  return 'live';
+};
+
+export const loadHistory = (storage = localStorage) => {
+  const saved = storage.getItem(HISTORY_STORAGE_KEY);
+  if (!saved) return [];
+  const parsed = JSON.parse(saved);
+  return Array.isArray(parsed) ? withUniqueIds(parsed.filter(isValidEntry).map(normalizeEntry)) : [];
+};
+
+export const saveHistory = (history, storage = localStorage) => {
+  storage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+};
+
+export const exportHistory = (history) => JSON.stringify({
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  entries: history
+}, null, 2);
+
+// Merge an exported history file into the current one (imported entries win on identical tokens).
+// Current entries keep their ids; imported entries whose id is taken get a new one.
+export const importHistory = (history, text, maxEntries) => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Invalid JSON in history file: ' + error.message);
+  }
+
+  const entries = Array.isArray(doc) ? doc : doc?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('History file must contain an "entries" array');
+  }
+
+  const imported = entries.filter(isValidEntry).map(normalizeEntry);
+  const importedTokens = new Set(imported.map(entry => entry.token));
+  const kept = history.filter(entry => !importedTokens.has(entry.token));
+  return trimHistory([...withUniqueIds(imported, kept.map(entry => entry.id)), ...kept], maxEntries);
+};
@@ -0,0 +1,267 @@
+import { base64url } from 'jose';
+
+// Byte-level inspection of compact token segments, for tokens that fail to decode. Reports
+// what a proxy, log line or copy/paste did to a token: whitespace and line breaks, padding,
+// the standard base64 alphabet (+ /) instead of base64url (- _), stray characters, impossible
+// lengths, and in the JSON segments a BOM, invalid UTF-8, broken JSON or duplicate keys.
+// Issues are { severity: 'error' | 'warning' | 'info', message, index? } where index points into
+// the raw segment. Encoding problems can be repaired without changing the decoded bytes.
+
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+const JWS_SEGMENTS = ['header', 'payload', 'signature'];
+
+const JWE_SEGMENTS = ['header', 'encryptedKey', 'iv', 'ciphertext', 'tag'];
+
+export const SEGMENT_LABELS = {
+  header: 'Header',
+  payload: 'Payload',
+  signature: 'Signature',
+  encryptedKey: 'Encrypted Key',
+  iv: 'IV',
+  ciphertext: 'Ciphertext',
+  tag: 'Tag'
+};
+
+// Characters that survive a copy/paste without being visible
+const INVISIBLE_CHARACTERS = /[\u00a0\u00ad\u200b-\u200d\u2060\ufeff]/;
+
+const describeCharacter = (char) => {
+  const code = `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+  if (char === '\n') return `line break (${code})`;
+  if (char === '\r') return `carriage return (${code})`;
+  if (char === '\t') return `tab (${code})`;
+  if (char === ' ') return `space (${code})`;
+  if (INVISIBLE_CHARACTERS.test(char)) return `${code} (invisible)`;
+  return `"${char}" (${code})`;
+};
+
+// Up to `limit` issues of one kind, then a single summary so long garbage stays readable
+const pushLimited = (issues, found, limit, summarize) => {
+  issues.push(...found.slice(0, limit));
+  if (found.length > limit) {
+    issues.push(summarize(found.length - limit));
+  }
+};
+
+// Lenient base64url decode: whitespace, padding and invalid characters are skipped and the
+// standard alphabet is accepted. Returns { bytes, leftoverBits } where leftoverBits is true
+// when the unused bits of the last character are not zero (a non-canonical encoding).
+const decodeLenient = (raw) => {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  [...raw].forEach(char => {
+    const value = BASE64URL_ALPHABET.indexOf(char === '+' ? '-' : char === '/' ? '_' : char);
+    if (value < 0) return;
+    buffer = ((buffer << 6) | value) & 0xffff;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  });
+  return { bytes: new Uint8Array(bytes), leftoverBits: bits > 0 && (buffer & ((1 << bits) - 1)) !== 0 };
+};
+
+// Positions of object keys that appear twice in the same object; JSON.parse keeps the last one
+export const findDuplicateKeys = (text) => {
+  const duplicates = [];
+  const stack = []; // { keys: Set, expectKey } for objects, null for arrays
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    if (char === '"') {
+      let end = index + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      const frame = stack[stack.length - 1];
+      if (frame && frame.expectKey) {
+        let key;
+        try {
+          key = JSON.parse(text.slice(index, end + 1));
+        } catch (error) {
+          return duplicates;
+        }
+        if (frame.keys.has(key)) {
+          duplicates.push({ key, index });
+        }
+        frame.keys.add(key);
+        frame.expectKey = false;
+      }
+      index = end + 1;
+      continue;
+    }
+    if (char === '{') stack.push({ keys: new Set(), expectKey: true });
+    if (char === '[') stack.push(null);
+    if (char === '}' || char === ']') stack.pop();
+    if (char === ',' && stack[stack.length - 1]) stack[stack.length - 1].expectKey = true;
+    index += 1;
+  }
+  return duplicates;
+};
+
+// Diagnose the UTF-8 JSON inside a header or payload segment
+const inspectJson = (bytes, issues) => {
+  let text;
+  const hasBom = bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf;
+  if (hasBom) {
+    issues.push({ severity: 'error', message: 'Starts with a UTF-8 byte order mark (EF BB BF); JSON in a JWT must not have a BOM' });
+  }
+  try {
+    text = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(bytes);
+  } catch (error) {
+    issues.push({ severity: 'error', message: 'Decoded bytes are not valid UTF-8' });
+    return { text: new TextDecoder('utf-8', { ignoreBOM: true }).decode(bytes), json: undefined };
+  }
+  let json;
+  try {
+    json = JSON.parse(hasBom ? text.slice(1) : text);
+  } catch (error) {
+    issues.push({ severity: 'error', message: `Not valid JSON: ${error.message}` });
+    return { text, json: undefined };
+  }
+  if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+    issues.push({ severity: 'error', message: 'JSON must be an object' });
+  }
+  findDuplicateKeys(text).forEach(({ key }) => {
+    issues.push({ severity: 'warning', message: `Duplicate key "${key}": decoders disagree on which value wins (JSON.parse keeps the last)` });
+  });
+  return { text, json };
+};
+
+// "48 65 6c ..." with 16 bytes per line
+export const toHex = (bytes) => {
+  const lines = [];
+  for (let offset = 0; offset < bytes.length; offset += 16) {
+    lines.push([...bytes.slice(offset, offset + 16)].map(byte => byte.toString(16).padStart(2, '0')).join(' '));
+  }
+  return lines.join('\n');
+};
+
+// Inspect one raw segment. `json` marks segments that must hold a JSON object.
+// Returns { raw, bytes, hex, text, json, issues }.
+export const inspectSegment = (raw, { json = false } = {}) => {
+  const issues = [];
+  const whitespace = [];
+  const standard = [];
+  const invalid = [];
+  let padding = null;
+  [...raw].forEach((char, index) => {
+    if (/\s/.test(char) && !INVISIBLE_CHARACTERS.test(char)) {
+      whitespace.push({ severity: 'error', index, message: `${describeCharacter(char)} at position ${index}` });
+    } else if (char === '=') {
+      if (padding === null) padding = index;
+    } else if (char === '+' || char === '/') {
+      standard.push({ severity: 'error', index, message: `"${char}" at position ${index} is standard base64; base64url uses "${char === '+' ? '-' : '_'}"` });
+    } else if (!BASE64URL_ALPHABET.includes(char)) {
+      invalid.push({ severity: 'error', index, message: `Invalid character ${describeCharacter(char)} at position ${index}` });
+    } else if (padding !== null) {
+      invalid.push({ severity: 'error', index, message: `Data after padding at position ${index}` });
+    }
+  });
+  pushLimited(issues, whitespace, 5, (more) => ({ severity: 'error', message: `${more} more whitespace characters` }));
+  pushLimited(issues, standard, 5, (more) => ({ severity: 'error', message: `${more} more standard base64 characters` }));
+  pushLimited(issues, invalid, 5, (more) => ({ severity: 'error', message: `${more} more invalid characters` }));
+  if (padding !== null) {
+    issues.push({ severity: 'error', index: padding, message: `"=" padding at position ${padding}; base64url in JWTs is unpadded` });
+  }
+
+  const dataLength = [...raw].filter(char => BASE64URL_ALPHABET.includes(char) || char === '+' || char === '/').length;
+  if (dataLength % 4 === 1) {
+    issues.push({ severity: 'error', message: `${dataLength} base64url character${dataLength === 1 ? '' : 's'} is an impossible length (one character too many or three too few)` });
+  }
+  const { bytes, leftoverBits } = decodeLenient(raw);
+  if (leftoverBits && dataLength % 4 !== 1) {
+    issues.push({ severity: 'warning', message: 'The last character has non-zero unused bits; strict decoders reject this encoding' });
+  }
+
+  const result = { raw, bytes, hex: toHex(bytes), text: null, json: undefined, issues };
+  if (json) {
+    if (bytes.length === 0) {
+      issues.push({ severity: 'error', message: 'Segment is empty' });
+    } else {
+      Object.assign(result, inspectJson(bytes, issues));
+    }
+  }
+  return result;
+};
+
+// True when the raw header segment declares an unencoded payload ("b64": false, RFC 7797)
+const hasUnencodedPayload = (rawHeader) => {
+  try {
+    return JSON.parse(new TextDecoder().decode(decodeLenient(rawHeader).bytes)).b64 === false;
+  } catch (error) {
+    return false;
+  }
+};
+
+// A JWS payload segment that is not base64url: empty when the payload is detached
+// (RFC 7515 appendix F), or the payload text itself when it is unencoded
+const inspectRawPayload = (raw, unencoded) => {
+  const bytes = new TextEncoder().encode(raw);
+  const message = raw === ''
+    ? `Detached payload${unencoded ? ' (unencoded, "b64": false)' : ''}: the payload is sent separately and is not part of the token`
+    : 'Unencoded payload ("b64": false): the segment is the payload itself, not base64url';
+  return { raw, bytes, hex: toHex(bytes), text: raw, json: undefined, issues: [{ severity: 'info', message }] };
+};
+
+// Remove what commonly wraps a pasted token: quotes, a "Bearer " prefix, surrounding whitespace
+const unwrapToken = (token) => token.trim().replace(/^(["'`])(.*)\1$/s, '$2').trim().replace(/^bearer\s+/i, '');
+
+// Inspect a whole compact token, however damaged. Returns
+// { format, segments: [{ name, label, ...inspectSegment }], issues, repaired }
+// where repaired is the fixed token, or null when nothing can be repaired.
+export const inspectToken = (token) => {
+  const issues = [];
+  const unwrapped = unwrapToken(token);
+  if (unwrapped !== token.trim()) {
+    issues.push({ severity: 'error', message: 'The token is wrapped in quotes or prefixed with "Bearer "' });
+  }
+  const parts = unwrapped.split('.');
+  const format = parts.length === 5 ? 'jwe' : 'jws';
+  if (parts.length !== 3 && parts.length !== 5) {
+    issues.push({ severity: 'error', message: `Found ${parts.length} dot-separated segments; a JWS has 3 and a JWE has 5` });
+  }
+  const names = format === 'jwe' ? JWE_SEGMENTS : JWS_SEGMENTS;
+  const unencoded = parts.length === 3 && hasUnencodedPayload(parts[0]);
+  const segments = parts.map((raw, index) => {
+    const name = names[index] || `segment${index + 1}`;
+    const isPayload = format === 'jws' && name === 'payload' && parts.length === 3;
+    return {
+      name,
+      label: SEGMENT_LABELS[name] || `Segment ${index + 1}`,
+      ...(isPayload && (raw === '' || unencoded)
+        ? inspectRawPayload(raw, unencoded)
+        : inspectSegment(raw, { json: name === 'header' || isPayload }))
+    };
+  });
+  const repaired = repairToken(token);
+  return { format, segments, issues, repaired: repaired !== token.trim() ? repaired : null };
+};
+
+// Fix the encoding of one segment: drop whitespace, invisible characters and padding, switch
+// to the base64url alphabet and, in JSON segments, strip a BOM (which changes the signed bytes)
+export const repairSegment = (raw, { json = false } = {}) => {
+  const cleaned = raw
+    .replace(/[\s\u00ad\u200b-\u200d\u2060\ufeff=]/g, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+  if (json) {
+    const { bytes } = decodeLenient(cleaned);
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+      return base64url.encode(bytes.slice(3));
+    }
+  }
+  return cleaned;
+};
+
+// An unencoded payload is the signed text itself and is left as it is
+export const repairToken = (token) => {
+  const parts = unwrapToken(token).split('.');
+  const unencoded = parts.length === 3 && hasUnencodedPayload(parts[0]);
+  return parts.map((raw, index) => (unencoded && index === 1 ? raw : repairSegment(raw, {
+    json: index === 0 || (parts.length === 3 && index === 1)
+  }))).join('.');
+};
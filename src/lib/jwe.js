@@ -0,0 +1,129 @@
+import { CompactEncrypt, compactDecrypt, decodeProtectedHeader, importJWK, base64url } from 'jose';
+import { importPrivateKey, importPublicKey } from './keys.js';
+
+// JWE key management algorithms (RFC 7518 section 4)
+export const DIRECT_ALGORITHMS = ['dir'];
+export const AES_KW_ALGORITHMS = ['A128KW', 'A192KW', 'A256KW'];
+export const RSA_OAEP_ALGORITHMS = ['RSA-OAEP', 'RSA-OAEP-256', 'RSA-OAEP-384', 'RSA-OAEP-512'];
+export const ECDH_ES_ALGORITHMS = ['ECDH-ES', 'ECDH-ES+A128KW', 'ECDH-ES+A192KW', 'ECDH-ES+A256KW'];
+
+export const KEY_MANAGEMENT_ALGORITHMS = [
+  ...DIRECT_ALGORITHMS,
+  ...AES_KW_ALGORITHMS,
+  ...RSA_OAEP_ALGORITHMS,
+  ...ECDH_ES_ALGORITHMS
+];
+
+// JWE content encryption algorithms (RFC 7518 section 5) and their CEK sizes in bytes
+export const CONTENT_ENCRYPTION_KEY_BYTES = {
+  A128GCM: 16,
+  A192GCM: 24,
+  A256GCM: 32,
+  'A128CBC-HS256': 32,
+  'A192CBC-HS384': 48,
+  'A256CBC-HS512': 64
+};
+
+export const CONTENT_ENCRYPTION_ALGORITHMS = Object.keys(CONTENT_ENCRYPTION_KEY_BYTES);
+
+const AES_KW_KEY_BYTES = { A128KW: 16, A192KW: 24, A256KW: 32 };
+
+export const isSymmetricKeyManagement = (alg) => DIRECT_ALGORITHMS.includes(alg) || AES_KW_ALGORITHMS.includes(alg);
+
+// Compact JWE: protected header, encrypted key (empty for dir / ECDH-ES), IV, ciphertext, tag
+export const isCompactJwe = (value) => {
+  const parts = value.trim().split('.');
+  return parts.length === 5 && Boolean(parts[0] && parts[2] && parts[3] && parts[4]);
+};
+
+export const splitCompactJwe = (jwe) => {
+  const [header, encryptedKey, iv, ciphertext, tag] = jwe.trim().split('.');
+  return { header, encryptedKey, iv, ciphertext, tag };
+};
+
+const isCompactJws = (value) => /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*\.[A-Za-z0-9_-]*$/.test(value.trim());
+
+// Symmetric keys are pasted as an oct JWK or as base64 / base64url bytes
+const importSymmetricKey = async (keyText) => {
+  const trimmed = keyText.trim();
+  if (trimmed.startsWith('{')) {
+    let jwk;
+    try {
+      jwk = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error('Key looks like a JWK but is not valid JSON: ' + error.message);
+    }
+    if (jwk.kty !== 'oct') {
+      throw new Error(`Expected an oct JWK, got ${jwk.kty}`);
+    }
+    return importJWK(jwk);
+  }
+
+  try {
+    return base64url.decode(trimmed.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''));
+  } catch (error) {
+    throw new Error('Symmetric key must be base64 / base64url encoded bytes or an oct JWK');
+  }
+};
+
+const importJweKey = async (keyText, alg, forEncryption) => {
+  if (!keyText || keyText.trim() === '') {
+    throw new Error('Key cannot be empty');
+  }
+  if (!KEY_MANAGEMENT_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported key management algorithm ${alg}`);
+  }
+  if (isSymmetricKeyManagement(alg)) {
+    return importSymmetricKey(keyText);
+  }
+  return forEncryption ? importPublicKey(keyText, alg) : importPrivateKey(keyText, alg);
+};
+
+// Random symmetric key of the size `alg` (and `enc` for dir) requires, base64url encoded
+export const generateSymmetricJweKey = (alg, enc) => {
+  const length = alg === 'dir' ? CONTENT_ENCRYPTION_KEY_BYTES[enc] : AES_KW_KEY_BYTES[alg];
+  return base64url.encode(crypto.getRandomValues(new Uint8Array(length)));
+};
+
+// Encrypt `plaintext` into a compact JWE. Pass `nested: true` when the plaintext is
+// itself a signed JWT so the header carries cty "JWT" (RFC 7519 section 5.2).
+export const encryptToJwe = async (plaintext, { alg, enc, keyText, nested = false, header = {} }) => {
+  if (!CONTENT_ENCRYPTION_ALGORITHMS.includes(enc)) {
+    throw new Error(`Unsupported content encryption algorithm ${enc}`);
+  }
+  const key = await importJweKey(keyText, alg, true);
+  const protectedHeader = { ...header, alg, enc };
+  if (nested) {
+    protectedHeader.cty = 'JWT';
+  }
+
+  return new CompactEncrypt(new TextEncoder().encode(plaintext))
+    .setProtectedHeader(protectedHeader)
+    .encrypt(key);
+};
+
+// Decrypt a compact JWE. Resolves to { protectedHeader, plaintext, claims, nestedJwt }
+// where claims is the parsed JSON payload and nestedJwt the inner JWS, when present.
+export const decryptJwe = async (jwe, keyText) => {
+  const { alg } = decodeProtectedHeader(jwe);
+  const key = await importJweKey(keyText, alg, false);
+  const { plaintext, protectedHeader } = await compactDecrypt(jwe.trim(), key);
+  const text = new TextDecoder().decode(plaintext);
+
+  const isNested = (protectedHeader.cty || '').toUpperCase() === 'JWT' || isCompactJws(text);
+  let claims = null;
+  if (!isNested) {
+    try {
+      claims = JSON.parse(text);
+    } catch (error) {
+      // Non-JSON plaintext is still shown as text
+    }
+  }
+
+  return {
+    protectedHeader,
+    plaintext: text,
+    claims,
+    nestedJwt: isNested ? text.trim() : null
+  };
+};
@@ -0,0 +1,152 @@
+import { importJWK } from 'jose';
+import { isHmacAlgorithm, isSupportedAlgorithm, toPublicJwk } from './keys.js';
+import { verifyJws } from './jws.js';
+
+// Key type (and curve) each JWS algorithm requires
+const ALGORITHM_KEY_TYPES = {
+  HS256: { kty: 'oct' }, HS384: { kty: 'oct' }, HS512: { kty: 'oct' },
+  RS256: { kty: 'RSA' }, RS384: { kty: 'RSA' }, RS512: { kty: 'RSA' },
+  PS256: { kty: 'RSA' }, PS384: { kty: 'RSA' }, PS512: { kty: 'RSA' },
+  ES256: { kty: 'EC', crv: 'P-256' },
+  ES384: { kty: 'EC', crv: 'P-384' },
+  ES512: { kty: 'EC', crv: 'P-521' },
+  EdDSA: { kty: 'OKP', crv: ['Ed25519', 'Ed448'] }
+};
+
+// Short human label for a JWK, used in verification reports
+export const describeJwk = (jwk, index) => {
+  const name = jwk.kid ? `kid "${jwk.kid}"` : `key #${index + 1}`;
+  const details = [jwk.kty, jwk.crv, jwk.alg].filter(Boolean).join(', ');
+  return details ? `${name} (${details})` : name;
+};
+
+// Parse a JWK Set document. A single JWK is accepted and wrapped as a one-key set.
+export const parseJwks = (text) => {
+  if (!text || text.trim() === '') {
+    throw new Error('JWKS cannot be empty');
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Invalid JSON in JWKS: ' + error.message);
+  }
+
+  if (doc && typeof doc === 'object' && !Array.isArray(doc) && doc.kty) {
+    doc = { keys: [doc] };
+  }
+  if (!doc || !Array.isArray(doc.keys)) {
+    throw new Error('JWKS must be an object with a "keys" array');
+  }
+  if (doc.keys.length === 0) {
+    throw new Error('JWKS contains no keys');
+  }
+  doc.keys.forEach((jwk, index) => {
+    if (!jwk || typeof jwk !== 'object' || !jwk.kty) {
+      throw new Error(`JWKS key #${index + 1} is missing "kty"`);
+    }
+  });
+  return doc;
+};
+
+// Why a key cannot be used for `alg`, or null when it is a candidate
+const getKeyMismatch = (jwk, alg) => {
+  const required = ALGORITHM_KEY_TYPES[alg];
+  if (jwk.kty !== required.kty) {
+    return `key type ${jwk.kty} cannot verify ${alg}`;
+  }
+  if (required.crv) {
+    const curves = Array.isArray(required.crv) ? required.crv : [required.crv];
+    if (!curves.includes(jwk.crv)) {
+      return `curve ${jwk.crv} cannot verify ${alg}`;
+    }
+  }
+  if (jwk.alg && jwk.alg !== alg) {
+    return `key is restricted to ${jwk.alg}`;
+  }
+  if (jwk.use && jwk.use !== 'sig') {
+    return `key use is "${jwk.use}", not "sig"`;
+  }
+  if (Array.isArray(jwk.key_ops) && !jwk.key_ops.includes('verify')) {
+    return 'key_ops does not include "verify"';
+  }
+  return null;
+};
+
+// Pick the keys that may verify a token with the given protected header.
+// Returns { candidates: [{ jwk, index }], reason } where reason explains an empty result.
+export const selectJwksKeys = (jwks, header) => {
+  const { alg, kid } = header;
+
+  if (!isSupportedAlgorithm(alg)) {
+    return { candidates: [], reason: `Unsupported algorithm ${alg}` };
+  }
+
+  const indexed = jwks.keys.map((jwk, index) => ({ jwk, index }));
+  const byKid = kid === undefined ? indexed : indexed.filter(({ jwk }) => jwk.kid === kid);
+
+  if (byKid.length === 0) {
+    const available = indexed.map(({ jwk }) => jwk.kid).filter(Boolean);
+    return {
+      candidates: [],
+      reason: `No key with kid "${kid}" in JWKS` + (available.length ? ` (available: ${available.join(', ')})` : '')
+    };
+  }
+
+  const mismatches = [];
+  const candidates = byKid.filter(({ jwk, index }) => {
+    const mismatch = getKeyMismatch(jwk, alg);
+    if (mismatch) {
+      mismatches.push(`${describeJwk(jwk, index)}: ${mismatch}`);
+    }
+    return !mismatch;
+  });
+
+  if (candidates.length === 0) {
+    return { candidates, reason: `No key usable for ${alg}. ${mismatches.join('; ')}` };
+  }
+  return { candidates, reason: null };
+};
+
+// Try every JWKS key that matches `header` (kid, alg) with `verify(key)`, which rejects on a bad
+// signature. Resolves to { verified, key, index, reason } - never throws.
+export const verifyWithJwksKeys = async (header, jwksText, verify) => {
+  let jwks;
+  try {
+    jwks = parseJwks(jwksText);
+  } catch (error) {
+    return { verified: false, key: null, index: -1, reason: error.message };
+  }
+
+  const { candidates, reason } = selectJwksKeys(jwks, header);
+  if (candidates.length === 0) {
+    return { verified: false, key: null, index: -1, reason };
+  }
+
+  const failures = [];
+  for (const { jwk, index } of candidates) {
+    try {
+      const keyJwk = isHmacAlgorithm(header.alg) ? jwk : toPublicJwk(jwk);
+      const key = await importJWK(keyJwk, header.alg);
+      await verify(key);
+      return { verified: true, key: jwk, index, reason: null };
+    } catch (error) {
+      failures.push(`${describeJwk(jwk, index)}: ${error.message}`);
+    }
+  }
+
+  return {
+    verified: false,
+    key: null,
+    index: -1,
+    reason: `Signature did not verify with any matching key. ${failures.join('; ')}`
+  };
+};
+
+// Verify a token against every matching JWKS key.
+// Resolves to { verified, key, index, reason } - never throws.
+export const verifyWithJwks = (jwtToken, header, jwksText, detachedPayload = null) => (
+  // Signature only - expiration is ignored, like verifyToken
+  verifyWithJwksKeys(header, jwksText, (key) => verifyJws(jwtToken, key, header.alg, { detachedPayload }))
+);
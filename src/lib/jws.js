@@ -0,0 +1,198 @@
+import { FlattenedSign, flattenedVerify, jwtVerify, decodeProtectedHeader, base64url } from 'jose';
+
+// JWS forms beyond the signed, base64url-encoded JWT that jose's JWT classes handle:
+//   unsecured  - "alg": "none" with an empty signature (RFC 7519 section 6), for negative tests
+//   detached   - empty payload segment, the payload travels separately (RFC 7515 appendix F)
+//   unencoded  - "b64": false listed in "crit": the payload is signed as-is (RFC 7797)
+//   JSON       - flattened { protected, header, payload, signature } or general
+//                { payload, signatures: [...] } serialization (RFC 7515 section 7.2)
+
+export const UNSECURED_ALGORITHM = 'none';
+
+export const isUnsecuredAlgorithm = (alg) => alg === UNSECURED_ALGORITHM;
+
+export const isUnencodedPayload = (header) => header?.b64 === false;
+
+const encoder = new TextEncoder();
+
+// RFC 7797 section 6: "b64" only takes effect when it is listed in "crit"
+const assertPayloadEncoding = (header) => {
+  if (header.b64 !== undefined && typeof header.b64 !== 'boolean') {
+    throw new Error('"b64" must be true or false');
+  }
+  if (isUnencodedPayload(header) && !(Array.isArray(header.crit) && header.crit.includes('b64'))) {
+    throw new Error('"b64": false must be listed in "crit" (RFC 7797)');
+  }
+};
+
+// Compact JWS over the exact payload text. With `detached` the payload segment is left empty.
+// Unsecured tokens get an empty signature; signingKey is not used for them.
+export const signCompactJws = async (header, payloadText, signingKey, { detached = false } = {}) => {
+  assertPayloadEncoding(header);
+  const unencoded = isUnencodedPayload(header);
+  if (unencoded && !detached && payloadText.includes('.')) {
+    throw new Error('An unencoded payload containing "." can only be sent detached (RFC 7797 section 5.2)');
+  }
+
+  let protectedSegment = base64url.encode(JSON.stringify(header));
+  let signature = '';
+  if (!isUnsecuredAlgorithm(header.alg)) {
+    const jws = await new FlattenedSign(encoder.encode(payloadText))
+      .setProtectedHeader(header)
+      .sign(signingKey);
+    protectedSegment = jws.protected;
+    signature = jws.signature;
+  }
+  const payloadSegment = detached ? '' : unencoded ? payloadText : base64url.encode(payloadText);
+  return `${protectedSegment}.${payloadSegment}.${signature}`;
+};
+
+// True for tokens jwtVerify cannot check: detached or unencoded payloads
+export const needsJwsVerification = (token) => {
+  const [, payloadSegment] = token.split('.');
+  return !payloadSegment || isUnencodedPayload(decodeProtectedHeader(token));
+};
+
+// Signature check only (expiration is ignored) for any compact JWS. `detachedPayload` is the
+// payload text of a detached token. Rejects when the signature does not verify.
+export const verifyJws = async (token, key, alg, { detachedPayload = null } = {}) => {
+  if (isUnsecuredAlgorithm(alg)) {
+    throw new Error('Unsecured token (alg: none) has no signature to verify');
+  }
+  if (!needsJwsVerification(token)) {
+    return jwtVerify(token, key, {
+      algorithms: [alg],
+      clockTolerance: Infinity // Accept any expiration time
+    });
+  }
+
+  const [protectedSegment, payloadSegment, signature] = token.split('.');
+  let payload = payloadSegment;
+  if (!payloadSegment) {
+    if (detachedPayload === null) {
+      throw new Error('The payload is detached; provide it to verify the signature');
+    }
+    payload = isUnencodedPayload(decodeProtectedHeader(token)) ? detachedPayload : base64url.encode(detachedPayload);
+  }
+  return flattenedVerify({ protected: protectedSegment, payload, signature }, key, { algorithms: [alg] });
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A JSON JWS is an object; compact tokens never start with "{"
+export const isJsonJws = (text) => typeof text === 'string' && text.trim().startsWith('{');
+
+const decodeProtectedSegment = (segment, label) => {
+  let header;
+  try {
+    header = JSON.parse(new TextDecoder().decode(base64url.decode(segment)));
+  } catch (error) {
+    throw new Error(`${label}: "protected" is not base64url-encoded JSON`);
+  }
+  if (!isPlainObject(header)) {
+    throw new Error(`${label}: "protected" must encode a JSON object`);
+  }
+  return header;
+};
+
+// Parse a flattened or general JSON JWS. Returns { serialization, payload, signatures } where
+// payload is the payload member as sent (undefined when detached) and each signature is
+// { protected, header, signature, protectedHeader, jointHeader }. Throws on malformed input.
+export const parseJsonJws = (text) => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Invalid JSON in JWS: ' + error.message);
+  }
+  if (!isPlainObject(doc)) {
+    throw new Error('A JSON JWS must be an object');
+  }
+  if (doc.payload !== undefined && typeof doc.payload !== 'string') {
+    throw new Error('"payload" must be a string');
+  }
+  const general = doc.signatures !== undefined;
+  if (general && (!Array.isArray(doc.signatures) || doc.signatures.length === 0)) {
+    throw new Error('"signatures" must be a non-empty array');
+  }
+  if (general && doc.signature !== undefined) {
+    throw new Error('A JSON JWS has either "signatures" (general) or "signature" (flattened), not both');
+  }
+
+  const signatures = (general ? doc.signatures : [doc]).map((entry, index) => {
+    const label = general ? `Signature #${index + 1}` : 'Signature';
+    if (!isPlainObject(entry) || typeof entry.signature !== 'string') {
+      throw new Error(`${label}: "signature" must be a string`);
+    }
+    if (entry.protected === undefined && entry.header === undefined) {
+      throw new Error(`${label}: needs a "protected" or "header" member`);
+    }
+    if (entry.protected !== undefined && typeof entry.protected !== 'string') {
+      throw new Error(`${label}: "protected" must be a string`);
+    }
+    if (entry.header !== undefined && !isPlainObject(entry.header)) {
+      throw new Error(`${label}: "header" must be a JSON object`);
+    }
+    const protectedHeader = entry.protected ? decodeProtectedSegment(entry.protected, label) : {};
+    const shared = Object.keys(entry.header || {}).find(name => name in protectedHeader);
+    if (shared) {
+      throw new Error(`${label}: "${shared}" is in both the protected and the unprotected header`);
+    }
+    return {
+      protected: entry.protected,
+      header: entry.header,
+      signature: entry.signature,
+      protectedHeader,
+      jointHeader: { ...protectedHeader, ...entry.header }
+    };
+  });
+  return { serialization: general ? 'general' : 'flattened', payload: doc.payload, signatures };
+};
+
+// Check one signature of a parsed JSON JWS (expiration is ignored). `detachedPayload` is the
+// payload text when the payload member is missing. Rejects when the signature does not verify.
+export const verifyJsonJwsSignature = async (jws, index, key, alg, { detachedPayload = null } = {}) => {
+  if (isUnsecuredAlgorithm(alg)) {
+    throw new Error('Unsecured signature (alg: none) has nothing to verify');
+  }
+  const entry = jws.signatures[index];
+  let payload = jws.payload;
+  if (payload === undefined) {
+    if (detachedPayload === null) {
+      throw new Error('The payload is detached; provide it to verify the signature');
+    }
+    payload = isUnencodedPayload(entry.protectedHeader) ? detachedPayload : base64url.encode(detachedPayload);
+  }
+  return flattenedVerify({
+    protected: entry.protected,
+    header: entry.header,
+    payload,
+    signature: entry.signature
+  }, key, { algorithms: [alg] });
+};
+
+// Compact form of one signature of a JSON JWS. Throws when it has no compact equivalent.
+export const toCompactJws = (jws, index = 0) => {
+  const entry = jws.signatures[index];
+  if (entry.header && Object.keys(entry.header).length > 0) {
+    throw new Error('The unprotected header has no place in compact serialization');
+  }
+  if (!entry.protected) {
+    throw new Error('Compact serialization needs a protected header');
+  }
+  const payload = jws.payload ?? '';
+  if (payload.includes('.')) {
+    throw new Error('An unencoded payload containing "." cannot be compact-serialized');
+  }
+  return `${entry.protected}.${payload}.${entry.signature}`;
+};
+
+// Flattened JSON form of a compact JWS; a detached payload stays out of the object
+export const toFlattenedJws = (token) => {
+  const parts = token.trim().split('.');
+  if (parts.length !== 3 || !parts[0]) {
+    throw new Error('Only a compact JWS can be converted to JSON serialization');
+  }
+  const [protectedSegment, payload, signature] = parts;
+  return { protected: protectedSegment, ...(payload && { payload }), signature };
+};
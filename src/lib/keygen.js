@@ -0,0 +1,61 @@
+import { generateKeyPair, exportPKCS8, exportSPKI, exportJWK, calculateJwkThumbprint, base64url } from 'jose';
+import { isHmacAlgorithm, RSA_ALGORITHMS, RSA_PSS_ALGORITHMS } from './keys.js';
+
+// HMAC secrets should be at least as long as the hash output (RFC 7518 section 3.2)
+export const HMAC_SECRET_BYTES = {
+  HS256: 32,
+  HS384: 48,
+  HS512: 64
+};
+
+export const RSA_MODULUS_LENGTHS = [2048, 3072, 4096];
+
+export const isRsaAlgorithm = (alg) => RSA_ALGORITHMS.includes(alg) || RSA_PSS_ALGORITHMS.includes(alg);
+
+const bytesToBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+// Generate key material for `alg` and every export format the key panel offers.
+// Returns { alg, kid, secretBytes?, secretBase64?, privatePem?, publicPem?, privateJwk, publicJwk, jwks }.
+// An HMAC key is secret, so it has no public JWK and no JWKS (publicJwk and jwks are null).
+export const generateKeyMaterial = async (alg, { modulusLength = 2048 } = {}) => {
+  if (isHmacAlgorithm(alg)) {
+    const secretBytes = crypto.getRandomValues(new Uint8Array(HMAC_SECRET_BYTES[alg]));
+    const jwk = { kty: 'oct', k: base64url.encode(secretBytes) };
+    const kid = await calculateJwkThumbprint(jwk, 'sha256');
+    const keyJwk = { ...jwk, kid, alg, use: 'sig' };
+
+    return {
+      alg,
+      kid,
+      secretBytes,
+      secretBase64: bytesToBase64(secretBytes),
+      privateJwk: keyJwk,
+      publicJwk: null,
+      jwks: null
+    };
+  }
+
+  const options = { extractable: true };
+  if (isRsaAlgorithm(alg)) {
+    options.modulusLength = modulusLength;
+  }
+  if (alg === 'EdDSA') {
+    options.crv = 'Ed25519';
+  }
+
+  const { privateKey, publicKey } = await generateKeyPair(alg, options);
+  const publicJwk = await exportJWK(publicKey);
+  // RFC 7638 thumbprint over the required public members only
+  const kid = await calculateJwkThumbprint(publicJwk, 'sha256');
+  const keyMetadata = { kid, alg, use: 'sig' };
+
+  return {
+    alg,
+    kid,
+    privatePem: await exportPKCS8(privateKey),
+    publicPem: await exportSPKI(publicKey),
+    privateJwk: { ...(await exportJWK(privateKey)), ...keyMetadata },
+    publicJwk: { ...publicJwk, ...keyMetadata },
+    jwks: { keys: [{ ...publicJwk, ...keyMetadata }] }
+  };
+};
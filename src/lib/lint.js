@@ -0,0 +1,144 @@
+import { HMAC_SECRET_BYTES } from './keygen.js';
+import { isNumericDate, formatDuration, nowInSeconds } from './time.js';
+
+export const DEFAULT_LINT_OPTIONS = {
+  maxLifetimeHours: 24
+};
+
+// Claim names that should never carry cleartext credentials or payment data
+const SENSITIVE_KEY_PATTERN = /(pass(word|wd)?|pwd|secret|api[_-]?key|private[_-]?key|credit[_-]?card|card[_-]?(number|no)|cvv|cvc|ssn)$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CARD_NUMBER_PATTERN = /^\d(?:[ -]?\d){12,18}$/;
+
+const finding = (id, target, severity, message, claim = null) => ({ id, target, severity, message, claim });
+
+// Luhn checksum, to tell card numbers apart from other long digit strings
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const looksLikeCardNumber = (value) => {
+  const text = String(value);
+  return CARD_NUMBER_PATTERN.test(text) && passesLuhn(text.replace(/[ -]/g, ''));
+};
+
+const lintHeader = (header, { secretLength }) => {
+  const findings = [];
+
+  if (typeof header.alg === 'string' && header.alg.toLowerCase() === 'none') {
+    findings.push(finding('alg-none', 'header', 'error', 'alg "none": token is unsigned and must never be accepted', 'alg'));
+  }
+
+  const minimumBytes = HMAC_SECRET_BYTES[header.alg];
+  if (minimumBytes && secretLength !== null && secretLength < minimumBytes) {
+    findings.push(finding(
+      'weak-secret', 'header', 'warning',
+      `${header.alg} secret is ${secretLength} bytes, shorter than the ${minimumBytes}-byte hash output`,
+      'alg'
+    ));
+  }
+
+  if (header.jwk !== undefined) {
+    findings.push(finding(
+      'embedded-jwk', 'header', 'error',
+      'jwk header embeds the verification key in the token itself - anyone can sign with their own key'
+    ));
+  }
+  ['jku', 'x5u'].forEach(param => {
+    if (header[param] === undefined) return;
+    if (typeof header[param] === 'string' && header[param].startsWith('data:')) {
+      findings.push(finding(
+        `embedded-${param}`, 'header', 'error',
+        `${param} is a data: URI - the key set is embedded in the token itself`
+      ));
+    } else {
+      findings.push(finding(
+        `remote-${param}`, 'header', 'warning',
+        `${param} lets the token choose where its key is fetched from - verifiers must pin allowed URLs`
+      ));
+    }
+  });
+
+  return findings;
+};
+
+const lintTimes = (payload, { maxLifetimeHours }, now) => {
+  const findings = [];
+
+  if (payload.exp === undefined) {
+    findings.push(finding('missing-exp', 'payload', 'warning', 'No exp claim - token never expires', 'exp'));
+  } else if (isNumericDate(payload.exp)) {
+    const start = isNumericDate(payload.iat) ? payload.iat : now;
+    const lifetime = payload.exp - start;
+    const maxLifetime = Number(maxLifetimeHours) * 3600;
+    if (maxLifetime > 0 && lifetime > maxLifetime) {
+      findings.push(finding(
+        'long-lifetime', 'payload', 'warning',
+        `Lifetime of ${formatDuration(lifetime)} exceeds the ${formatDuration(maxLifetime)} limit`,
+        'exp'
+      ));
+    }
+  }
+
+  if (isNumericDate(payload.iat) && payload.iat > now) {
+    findings.push(finding('future-iat', 'payload', 'warning', `iat is ${formatDuration(payload.iat - now)} in the future`, 'iat'));
+  }
+
+  return findings;
+};
+
+// Walk the payload looking for credentials and PII stored in cleartext
+const lintSensitiveData = (payload) => {
+  const findings = [];
+
+  const visit = (value, path) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => visit(item, `${path}[${index}]`));
+      return;
+    }
+    if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => {
+        const childPath = path ? `${path}.${key}` : key;
+        if (SENSITIVE_KEY_PATTERN.test(key) && child !== null && child !== '') {
+          findings.push(finding(`sensitive-${childPath}`, 'payload', 'error', `"${childPath}" looks like a credential stored in cleartext`, childPath));
+          return;
+        }
+        visit(child, childPath);
+      });
+      return;
+    }
+    if (typeof value === 'string' && EMAIL_PATTERN.test(value)) {
+      findings.push(finding(`email-${path}`, 'payload', 'warning', `"${path}" contains an email address - payloads are readable by anyone holding the token`, path));
+    } else if ((typeof value === 'string' || typeof value === 'number') && looksLikeCardNumber(value)) {
+      findings.push(finding(`card-${path}`, 'payload', 'error', `"${path}" looks like a payment card number`, path));
+    }
+  };
+
+  visit(payload, '');
+  return findings;
+};
+
+// Lint a decoded token. `secretLength` is the HMAC secret size in bytes, or null when unknown.
+// A null payload (detached JWS) gets the header checks only.
+export const lintToken = (header, payload, { secretLength = null, maxLifetimeHours = DEFAULT_LINT_OPTIONS.maxLifetimeHours } = {}, now = nowInSeconds()) => {
+  if (payload === null) {
+    return [
+      ...lintHeader(header, { secretLength }),
+      finding('detached-payload', 'payload', 'warning', 'Payload is detached - its claims were not checked')
+    ];
+  }
+  return [
+    ...lintHeader(header, { secretLength }),
+    ...lintTimes(payload, { maxLifetimeHours }, now),
+    ...lintSensitiveData(payload)
+  ];
+};
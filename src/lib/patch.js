@@ -0,0 +1,207 @@
+// JSON Merge Patch (RFC 7396), JSON Patch (RFC 6902) and a structural diff for claim sets
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Member names that would reach Object.prototype instead of a member of the document
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const assertSafeKey = (key) => {
+  if (UNSAFE_KEYS.includes(key)) {
+    throw new Error(`"${key}" is not allowed as a member name`);
+  }
+};
+
+// RFC 7396: null removes a member, objects merge recursively, anything else replaces
+export const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return clone(patch);
+  }
+  const result = isPlainObject(target) ? clone(target) : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    assertSafeKey(key);
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+// RFC 6901 JSON Pointer -> list of reference tokens
+const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON Pointer "${pointer}"`);
+  }
+  const tokens = pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  tokens.forEach(assertSafeKey);
+  return tokens;
+};
+
+const arrayIndex = (array, token, allowEnd) => {
+  if (allowEnd && token === '-') return array.length;
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw new Error(`Invalid array index "${token}"`);
+  }
+  const index = parseInt(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new Error(`Array index ${index} is out of bounds`);
+  }
+  return index;
+};
+
+// Parent container and last token of a pointer; throws when the parent does not exist
+const resolveParent = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  const last = tokens.pop();
+  let parent = document;
+  tokens.forEach(token => {
+    if (Array.isArray(parent)) {
+      parent = parent[arrayIndex(parent, token, false)];
+    } else if (isPlainObject(parent) && Object.hasOwn(parent, token)) {
+      parent = parent[token];
+    } else {
+      throw new Error(`Path ${pointer} does not exist`);
+    }
+  });
+  if (!Array.isArray(parent) && !isPlainObject(parent)) {
+    throw new Error(`Path ${pointer} does not exist`);
+  }
+  return { parent, last };
+};
+
+const getValue = (document, pointer) => {
+  if (pointer === '') return document;
+  const { parent, last } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, last, false)];
+  }
+  if (!Object.hasOwn(parent, last)) {
+    throw new Error(`Path ${pointer} does not exist`);
+  }
+  return parent[last];
+};
+
+const addValue = (document, pointer, value) => {
+  if (pointer === '') return clone(value);
+  const { parent, last } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, last, true), 0, clone(value));
+  } else {
+    parent[last] = clone(value);
+  }
+  return document;
+};
+
+const removeValue = (document, pointer) => {
+  if (pointer === '') {
+    throw new Error('Cannot remove the whole document');
+  }
+  const { parent, last } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, last, false), 1);
+  } else {
+    if (!Object.hasOwn(parent, last)) {
+      throw new Error(`Path ${pointer} does not exist`);
+    }
+    delete parent[last];
+  }
+  return document;
+};
+
+// RFC 6902: operations are applied in order to a copy; any failure rejects the whole patch
+export const applyJsonPatch = (document, operations) => {
+  if (!Array.isArray(operations)) {
+    throw new Error('JSON Patch must be an array of operations');
+  }
+  let result = clone(document);
+  operations.forEach((operation, index) => {
+    const { op, path, from, value } = operation || {};
+    try {
+      if (typeof path !== 'string') {
+        throw new Error('"path" is required');
+      }
+      switch (op) {
+        case 'add':
+          result = addValue(result, path, value);
+          break;
+        case 'remove':
+          result = removeValue(result, path);
+          break;
+        case 'replace':
+          getValue(result, path);
+          result = addValue(removeValue(result, path), path, value);
+          break;
+        case 'move': {
+          if (path.startsWith(from + '/')) {
+            throw new Error('Cannot move a value into one of its children');
+          }
+          const moved = getValue(result, from);
+          result = addValue(removeValue(result, from), path, moved);
+          break;
+        }
+        case 'copy':
+          result = addValue(result, path, getValue(result, from));
+          break;
+        case 'test':
+          if (!isEqual(getValue(result, path), value)) {
+            throw new Error(`Test failed at ${path}`);
+          }
+          break;
+        default:
+          throw new Error(`Unknown op "${op}"`);
+      }
+    } catch (error) {
+      throw new Error(`Patch operation ${index + 1} (${op || 'no op'}): ${error.message}`);
+    }
+  });
+  return result;
+};
+
+// Parse patch text: an array is a JSON Patch, an object a JSON Merge Patch.
+// Resolves to null for blank text, otherwise { format: 'json-patch' | 'merge-patch', patch }.
+export const parsePatch = (text) => {
+  if (!text || !text.trim()) return null;
+  let patch;
+  try {
+    patch = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Patch is not valid JSON: ' + error.message);
+  }
+  if (Array.isArray(patch)) {
+    return { format: 'json-patch', patch };
+  }
+  if (isPlainObject(patch)) {
+    return { format: 'merge-patch', patch };
+  }
+  throw new Error('Patch must be a JSON object (Merge Patch) or an array (JSON Patch)');
+};
+
+export const applyPatch = (document, { format, patch }) => (
+  format === 'json-patch' ? applyJsonPatch(document, patch) : applyMergePatch(document, patch)
+);
+
+// Structural diff of two JSON values. Objects are compared member by member,
+// arrays and scalars as whole values. Returns [{ path, type, before, after }]
+// where type is 'added', 'removed' or 'changed' ('unchanged' too with includeUnchanged)
+// and path is dotted ("payload.aud").
+export const diffObjects = (before, after, path = '', { includeUnchanged = false } = {}) => {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (!Object.hasOwn(after, key)) return [{ path: childPath, type: 'removed', before: before[key], after: undefined }];
+      if (!Object.hasOwn(before, key)) return [{ path: childPath, type: 'added', before: undefined, after: after[key] }];
+      return diffObjects(before[key], after[key], childPath, { includeUnchanged });
+    });
+  }
+  if (isEqual(before, after)) {
+    return includeUnchanged ? [{ path, type: 'unchanged', before, after }] : [];
+  }
+  return [{ path, type: 'changed', before, after }];
+};
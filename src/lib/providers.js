@@ -0,0 +1,210 @@
+// Claim dictionaries for identity providers. Each dictionary describes the claims one provider
+// puts in its tokens, so the app can explain them, offer them as badges and flag claims that
+// belong to a different provider. Add a provider by adding an entry to CLAIM_DICTIONARIES
+// (or calling registerClaimDictionary) with:
+//   id, name       - identifier and display name
+//   issuers        - regular expressions matched against `iss`
+//   claims         - { claim: { label, description, badge?, default? } }; badge claims are offered
+//                    as toggles, `default` is the value a toggle inserts
+//   customClaims   - optional pattern for claim names tenants may add themselves
+//   customLabel    - how such custom claims are described
+
+// OpenID Connect and JWT claims any provider may emit; never reported as foreign
+const GENERIC_CLAIMS = {
+  iss: 'Issuer',
+  sub: 'Subject',
+  aud: 'Audience',
+  exp: 'Expiration Time',
+  nbf: 'Not Before',
+  iat: 'Issued At',
+  jti: 'JWT ID',
+  azp: 'Authorized party - the client the token was issued to',
+  nonce: 'Value from the authentication request, binds the ID token to the client session',
+  auth_time: 'Time the user authenticated',
+  acr: 'Authentication context class reference',
+  amr: 'Authentication methods used, e.g. pwd, mfa, otp',
+  at_hash: 'Hash of the access token issued with this ID token',
+  c_hash: 'Hash of the authorization code issued with this ID token',
+  sid: 'Session ID at the identity provider',
+  client_id: 'Client the access token was issued to (RFC 9068)',
+  cnf: 'Confirmation key the token is bound to (RFC 7800)',
+  act: 'Actor acting on behalf of the subject (RFC 8693)',
+  name: 'Full name',
+  given_name: 'Given name',
+  family_name: 'Family name',
+  middle_name: 'Middle name',
+  nickname: 'Casual name',
+  preferred_username: 'Shorthand name the user prefers',
+  profile: 'Profile page URL',
+  picture: 'Profile picture URL',
+  website: 'Web page or blog URL',
+  email: 'Email address',
+  email_verified: 'Whether the email address has been verified',
+  gender: 'Gender',
+  birthdate: 'Birthday (YYYY-MM-DD)',
+  zoneinfo: 'Time zone, e.g. Europe/Paris',
+  locale: 'Locale, e.g. en-US',
+  phone_number: 'Phone number',
+  phone_number_verified: 'Whether the phone number has been verified',
+  address: 'Postal address',
+  updated_at: 'Time the user profile was last updated'
+};
+
+export const CLAIM_DICTIONARIES = [
+  {
+    id: 'auth0',
+    name: 'Auth0',
+    issuers: [/^https:\/\/[^/]+\.auth0\.com\/$/],
+    customClaims: /^https?:\/\//,
+    customLabel: 'Namespaced custom claim added by an Auth0 Action or Rule',
+    claims: {
+      scope: { label: 'Scope', description: 'Space-separated scopes granted to the access token', badge: true, default: 'openid profile' },
+      permissions: { label: 'Permissions', description: 'API permissions of the user when RBAC "Add Permissions in the Access Token" is on', badge: true, default: [] },
+      gty: { label: 'Grant Type', description: 'Grant that produced the token, e.g. client-credentials or password' },
+      org_id: { label: 'Organization ID', description: 'Auth0 Organization the user logged in through', badge: true, default: '' },
+      org_name: { label: 'Organization Name', description: 'Name of the Auth0 Organization' }
+    }
+  },
+  {
+    id: 'keycloak',
+    name: 'Keycloak',
+    issuers: [/\/realms\/[^/]+\/?$/],
+    claims: {
+      typ: { label: 'Token Type', description: 'Keycloak token type: Bearer, ID, Refresh or Logout' },
+      session_state: { label: 'Session State', description: 'Keycloak user session ID' },
+      realm_access: { label: 'Realm Roles', description: 'Realm-level roles as { roles: [...] }', badge: true, default: { roles: [] } },
+      resource_access: { label: 'Client Roles', description: 'Client-level roles as { client: { roles: [...] } }', badge: true, default: {} },
+      scope: { label: 'Scope', description: 'Space-separated client scopes included in the token', badge: true, default: 'openid profile email' },
+      'allowed-origins': { label: 'Allowed Origins', description: 'Web origins the client may call from (CORS)' },
+      clientId: { label: 'Client ID', description: 'Client of a service account token (older Keycloak versions)' },
+      clientHost: { label: 'Client Host', description: 'Host of the service account client' },
+      clientAddress: { label: 'Client Address', description: 'IP address of the service account client' }
+    }
+  },
+  {
+    id: 'azure-ad',
+    name: 'Azure AD',
+    issuers: [
+      /^https:\/\/login\.microsoftonline\.com\/[^/]+\/v2\.0\/?$/,
+      /^https:\/\/sts\.windows\.net\/[^/]+\/?$/
+    ],
+    customClaims: /^(extn\.|extension_|xms_)/,
+    customLabel: 'Directory extension or optional claim configured on the app registration',
+    claims: {
+      tid: { label: 'Tenant ID', description: 'Microsoft Entra tenant the user signed in to', badge: true, default: '' },
+      oid: { label: 'Object ID', description: 'Immutable ID of the user or service principal in the tenant', badge: true, default: '' },
+      scp: { label: 'Scopes', description: 'Space-separated delegated permissions (user tokens only)', badge: true, default: '' },
+      roles: { label: 'App Roles', description: 'Application roles assigned to the user or app', badge: true, default: [] },
+      wids: { label: 'Directory Roles', description: 'Template IDs of the tenant-wide roles assigned to the user' },
+      groups: { label: 'Groups', description: 'Object IDs of the groups the user belongs to' },
+      hasgroups: { label: 'Has Groups', description: 'Set instead of groups when the user is in too many groups for the token' },
+      _claim_names: { label: 'Claim Names', description: 'Group overage: names of claims to fetch from Microsoft Graph' },
+      _claim_sources: { label: 'Claim Sources', description: 'Group overage: where to fetch the claims listed in _claim_names' },
+      appid: { label: 'Application ID', description: 'Client ID of the calling app (v1.0 tokens)' },
+      appidacr: { label: 'App Auth Method', description: 'How the client authenticated: 0 public, 1 secret, 2 certificate (v1.0)' },
+      azpacr: { label: 'App Auth Method', description: 'How the client authenticated: 0 public, 1 secret, 2 certificate (v2.0)' },
+      idp: { label: 'Identity Provider', description: 'Identity provider that authenticated the subject' },
+      ver: { label: 'Version', description: 'Token version: 1.0 or 2.0' },
+      uti: { label: 'Token ID', description: 'Internal token identifier used by Azure' },
+      rh: { label: 'Refresh Hint', description: 'Internal claim used by Azure to revalidate tokens' },
+      aio: { label: 'Internal', description: 'Opaque internal claim used by Azure AD' },
+      upn: { label: 'User Principal Name', description: 'Sign-in name of the user' },
+      unique_name: { label: 'Unique Name', description: 'Human-readable user identifier (v1.0)' },
+      ipaddr: { label: 'IP Address', description: 'IP address the user authenticated from' },
+      onprem_sid: { label: 'On-premises SID', description: 'Security identifier of a synchronized on-premises user' },
+      login_hint: { label: 'Login Hint', description: 'Opaque hint to sign the same user in again' },
+      acrs: { label: 'Auth Context', description: 'Conditional Access authentication context IDs satisfied by the user' }
+    }
+  },
+  {
+    id: 'cognito',
+    name: 'Cognito',
+    issuers: [/^https:\/\/cognito-idp\.[a-z0-9-]+\.amazonaws\.com\/[\w-]+$/],
+    customClaims: /^(custom|dev):/,
+    customLabel: 'Custom user pool attribute',
+    claims: {
+      token_use: { label: 'Token Use', description: 'Which token this is: id or access', badge: true, default: 'access' },
+      'cognito:username': { label: 'Username', description: 'User name in the user pool (ID tokens)' },
+      'cognito:groups': { label: 'Groups', description: 'User pool groups the user belongs to', badge: true, default: [] },
+      'cognito:roles': { label: 'IAM Roles', description: 'IAM roles of the user\'s groups' },
+      'cognito:preferred_role': { label: 'Preferred Role', description: 'IAM role of the highest-precedence group' },
+      username: { label: 'Username', description: 'User name in the user pool (access tokens)' },
+      scope: { label: 'Scope', description: 'Space-separated OAuth scopes of the access token', badge: true, default: 'openid' },
+      origin_jti: { label: 'Origin Token ID', description: 'ID of the authentication event the token chain started from' },
+      event_id: { label: 'Event ID', description: 'ID of the authentication event' },
+      version: { label: 'Version', description: 'Access token version' },
+      identities: { label: 'Identities', description: 'Linked federated identities (SAML, OIDC, social)' }
+    }
+  },
+  {
+    id: 'firebase',
+    name: 'Firebase',
+    issuers: [/^https:\/\/securetoken\.google\.com\/[\w-]+$/],
+    claims: {
+      user_id: { label: 'User ID', description: 'Firebase user ID, same as sub', badge: true, default: '' },
+      firebase: {
+        label: 'Firebase',
+        description: 'Sign-in details: sign_in_provider, identities, tenant, sign_in_second_factor',
+        badge: true,
+        default: { sign_in_provider: 'password', identities: {} }
+      },
+      provider_id: { label: 'Provider ID', description: 'Set to "anonymous" for anonymous users' }
+    }
+  }
+];
+
+export const registerClaimDictionary = (dictionary) => {
+  const index = CLAIM_DICTIONARIES.findIndex(item => item.id === dictionary.id);
+  if (index >= 0) {
+    CLAIM_DICTIONARIES[index] = dictionary;
+  } else {
+    CLAIM_DICTIONARIES.push(dictionary);
+  }
+};
+
+export const getClaimDictionary = (id) => CLAIM_DICTIONARIES.find(dictionary => dictionary.id === id) || null;
+
+// Dictionary of the provider that issued the payload, by `iss`
+export const detectClaimDictionary = (payload) => {
+  const issuer = payload && typeof payload.iss === 'string' ? payload.iss : '';
+  if (!issuer) return null;
+  return CLAIM_DICTIONARIES.find(dictionary => dictionary.issuers.some(pattern => pattern.test(issuer))) || null;
+};
+
+// { label, description } for a claim, from the provider's dictionary or the generic claims
+export const describeClaim = (name, dictionary) => {
+  const known = dictionary && Object.hasOwn(dictionary.claims, name) ? dictionary.claims[name] : null;
+  if (known) return { label: known.label, description: known.description };
+  if (dictionary?.customClaims && dictionary.customClaims.test(name)) {
+    return { label: 'Custom', description: dictionary.customLabel };
+  }
+  if (Object.hasOwn(GENERIC_CLAIMS, name)) return { label: name, description: GENERIC_CLAIMS[name] };
+  return null;
+};
+
+// Badge list for renderClaimBadges: the provider's badge claims plus any other known claim present
+export const getDictionaryBadges = (dictionary, payload) => {
+  if (!dictionary) return [];
+  return Object.entries(dictionary.claims)
+    .filter(([name, claim]) => claim.badge || (payload && Object.hasOwn(payload, name)))
+    .map(([name, claim]) => ({ key: name, label: claim.label, description: claim.description, default: claim.default ?? '' }));
+};
+
+// Claims another provider uses that this one never emits, e.g. `scp` in a Keycloak token
+export const findForeignClaims = (payload, dictionary) => {
+  if (!dictionary || !payload) return [];
+  return Object.keys(payload)
+    .filter(name => !Object.hasOwn(dictionary.claims, name) && !Object.hasOwn(GENERIC_CLAIMS, name) && !dictionary.customClaims?.test(name))
+    .map(name => {
+      // Only dictionary claims count; custom claim patterns (URLs, prefixes) are not exclusive
+      const owners = CLAIM_DICTIONARIES
+        .filter(other => other !== dictionary && Object.hasOwn(other.claims, name))
+        .map(other => other.name);
+      return owners.length > 0 ? {
+        claim: name,
+        owners,
+        message: `${name} comes from ${owners.join(' / ')}; ${dictionary.name} never emits it`
+      } : null;
+    })
+    .filter(Boolean);
+};
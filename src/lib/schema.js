@@ -0,0 +1,226 @@
+// JSON Schema validation for token payloads, plus the saved per-project schemas.
+// Covers the keywords claim schemas use in practice (draft 2020-12 and draft-07 spellings):
+// type, enum, const, properties, required, additionalProperties, patternProperties,
+// min/maxProperties, items, prefixItems, contains, min/maxItems, uniqueItems, min/maxLength,
+// pattern, format, minimum, maximum, exclusiveMinimum/Maximum, multipleOf, allOf, anyOf,
+// oneOf, not, if/then/else and local $ref. Other keywords are ignored.
+
+export const SCHEMA_STORAGE_KEY = 'jwtPayloadSchemas';
+
+// { schemas: [{ name, schema }], active: name of the schema payloads are checked against }
+export const DEFAULT_SCHEMA_SETTINGS = {
+  schemas: [],
+  active: null
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const FORMATS = {
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/i.test(value) && !isNaN(Date.parse(value)),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: (value) => /^[a-z][a-z0-9+.-]*:\S*$/i.test(value),
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  ipv4: (value) => /^(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)$/.test(value)
+};
+
+// "#/$defs/role" -> the schema it points at within the root schema
+const resolveRef = (root, ref) => {
+  if (ref === '#') return root;
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $ref values are supported, got "${ref}"`);
+  }
+  return ref.slice(2).split('/').reduce((node, token) => {
+    const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || typeof node !== 'object' || !Object.hasOwn(node, key)) {
+      throw new Error(`Cannot resolve $ref "${ref}"`);
+    }
+    return node[key];
+  }, root);
+};
+
+const describe = (value) => JSON.stringify(value);
+
+// Validate `value` against `schema`; pushes { path, message } onto `errors`.
+// `refs` holds the $refs already followed at this value: following one again would loop
+// forever (e.g. {"$ref": "#"}), so it is reported instead. Child values start a new set.
+const check = (schema, value, path, root, errors, refs = new Set()) => {
+  if (schema === true) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+  if (!isPlainObject(schema)) return;
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (typeof schema.$ref === 'string') {
+    if (refs.has(schema.$ref)) {
+      fail(`cannot be checked: $ref "${schema.$ref}" loops back to itself`);
+      return;
+    }
+    let target;
+    try {
+      target = resolveRef(root, schema.$ref);
+    } catch (error) {
+      fail(`cannot be checked: ${error.message}`);
+      return;
+    }
+    check(target, value, path, root, errors, new Set(refs).add(schema.$ref));
+  }
+  // Subschemas applied to this same value share the followed $refs
+  const collect = (subschema) => {
+    const subErrors = [];
+    check(subschema, value, path, root, subErrors, refs);
+    return subErrors;
+  };
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => isEqual(option, value))) {
+    fail(`must be one of ${schema.enum.map(describe).join(', ')}`);
+  }
+  if (Object.hasOwn(schema, 'const') && !isEqual(schema.const, value)) {
+    fail(`must be ${describe(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) fail(`must match ${schema.pattern}`);
+    if (Object.hasOwn(FORMATS, schema.format) && !FORMATS[schema.format](value)) fail(`must be a valid ${schema.format}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    // Draft-04 used booleans that modify minimum / maximum
+    const exclusiveMinimum = schema.exclusiveMinimum === true ? schema.minimum : schema.exclusiveMinimum;
+    const exclusiveMaximum = schema.exclusiveMaximum === true ? schema.maximum : schema.exclusiveMaximum;
+    if (typeof exclusiveMinimum === 'number' && value <= exclusiveMinimum) fail(`must be > ${exclusiveMinimum}`);
+    if (typeof exclusiveMaximum === 'number' && value >= exclusiveMaximum) fail(`must be < ${exclusiveMaximum}`);
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) fail(`must be a multiple of ${schema.multipleOf}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) fail('must not contain duplicates');
+    // Draft-07 tuples use an items array, 2020-12 uses prefixItems
+    const prefixItems = Array.isArray(schema.prefixItems) ? schema.prefixItems : Array.isArray(schema.items) ? schema.items : [];
+    const restItems = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+    value.forEach((item, index) => {
+      const itemSchema = index < prefixItems.length ? prefixItems[index] : restItems;
+      if (itemSchema !== undefined) check(itemSchema, item, [...path, index], root, errors);
+    });
+    if (schema.contains !== undefined && !value.some(item => validateSchema(schema.contains, item, root).length === 0)) {
+      fail('must contain a matching item');
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) fail(`must have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) fail(`must have at most ${schema.maxProperties} properties`);
+    (Array.isArray(schema.required) ? schema.required : []).forEach(name => {
+      if (!Object.hasOwn(value, name)) fail('is required', [...path, name]);
+    });
+    const properties = isPlainObject(schema.properties) ? schema.properties : {};
+    const patterns = isPlainObject(schema.patternProperties) ? Object.entries(schema.patternProperties) : [];
+    keys.forEach(key => {
+      let matched = false;
+      if (Object.hasOwn(properties, key)) {
+        matched = true;
+        check(properties[key], value[key], [...path, key], root, errors);
+      }
+      patterns.forEach(([pattern, propertySchema]) => {
+        if (new RegExp(pattern, 'u').test(key)) {
+          matched = true;
+          check(propertySchema, value[key], [...path, key], root, errors);
+        }
+      });
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          fail('is not an allowed claim', [...path, key]);
+        } else {
+          check(schema.additionalProperties, value[key], [...path, key], root, errors);
+        }
+      }
+    });
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(subschema => check(subschema, value, path, root, errors, refs));
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(subschema => collect(subschema).length === 0)) {
+    fail('must match at least one of the anyOf schemas');
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter(subschema => collect(subschema).length === 0).length;
+    if (matches !== 1) fail(`must match exactly one of the oneOf schemas (matched ${matches})`);
+  }
+  if (schema.not !== undefined && collect(schema.not).length === 0) {
+    fail('must not match the "not" schema');
+  }
+  if (schema.if !== undefined) {
+    const branch = collect(schema.if).length === 0 ? schema.then : schema.else;
+    if (branch !== undefined) check(branch, value, path, root, errors, refs);
+  }
+};
+
+// Violations of `schema` by `value` as [{ path, message }], where path is a list of keys
+// and array indexes ([] for the payload itself). A $ref that cannot be resolved or that loops
+// is reported as a violation at the value it applies to.
+export const validateSchema = (schema, value, root = schema) => {
+  const errors = [];
+  check(schema, value, [], root, errors);
+  return errors;
+};
+
+// ['realm_access', 'roles', 0] -> "realm_access.roles[0]"; keys that are not identifiers are quoted
+export const formatSchemaPath = (path) => {
+  if (path.length === 0) return 'payload';
+  return path.map((segment, index) => {
+    if (typeof segment === 'number') return `[${segment}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) return index === 0 ? segment : `.${segment}`;
+    return `[${JSON.stringify(segment)}]`;
+  }).join('');
+};
+
+// Schema text -> schema object; throws with a readable message
+export const parseSchema = (text) => {
+  let schema;
+  try {
+    schema = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Schema is not valid JSON: ' + error.message);
+  }
+  if (!isPlainObject(schema) && typeof schema !== 'boolean') {
+    throw new Error('Schema must be a JSON object');
+  }
+  return schema;
+};
+
+// Subschemas of the properties an object schema declares ({} when there are none)
+export const getSchemaProperties = (schema) => (
+  isPlainObject(schema) && isPlainObject(schema.properties) ? schema.properties : {}
+);
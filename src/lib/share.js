@@ -0,0 +1,122 @@
+import { base64url } from 'jose';
+
+// Workspace links live in the URL fragment, which browsers never send to the server
+export const SHARE_FRAGMENT_PREFIX = '#share=';
+
+const SHARE_VERSION = 1;
+const REDACTED_VALUE = '[REDACTED]';
+
+// "z." marks deflate-compressed JSON, "j." plain JSON for browsers without CompressionStream
+const COMPRESSED_MARKER = 'z.';
+const PLAIN_MARKER = 'j.';
+
+const readStream = async (stream) => new Uint8Array(await new Response(stream).arrayBuffer());
+
+const compress = (bytes) => readStream(new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw')));
+
+const decompress = (bytes) => readStream(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')));
+
+// Replace the listed payload claims with a placeholder
+export const redactClaims = (payload, claims) => {
+  const redacted = { ...payload };
+  claims.forEach(claim => {
+    if (Object.hasOwn(redacted, claim)) {
+      redacted[claim] = REDACTED_VALUE;
+    }
+  });
+  return redacted;
+};
+
+// Build the shared state. Redacting claims invalidates the signature, so a redacted
+// share always carries header + payload for the recipient to re-sign instead of the token.
+export const buildShareState = ({ mode, token, header, payload, redact = [], key = null }) => {
+  const state = { v: SHARE_VERSION };
+  if (mode === 'token' && redact.length === 0) {
+    state.token = token;
+  } else {
+    state.header = header;
+    state.payload = redactClaims(payload, redact);
+  }
+  if (key) {
+    state.key = key;
+  }
+  return state;
+};
+
+export const encodeShareFragment = async (state) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  if (typeof CompressionStream === 'undefined') {
+    return SHARE_FRAGMENT_PREFIX + PLAIN_MARKER + base64url.encode(bytes);
+  }
+  return SHARE_FRAGMENT_PREFIX + COMPRESSED_MARKER + base64url.encode(await compress(bytes));
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Shape of the key a link may carry: { secret?, encoding?, publicKey?, privateKey? }
+const checkSharedKey = (key) => {
+  if (!isPlainObject(key)) {
+    throw new Error('Share link key must be an object');
+  }
+  ['secret', 'publicKey', 'privateKey'].forEach(name => {
+    if (key[name] !== undefined && typeof key[name] !== 'string') {
+      throw new Error(`Share link key "${name}" must be a string`);
+    }
+  });
+  if (key.encoding !== undefined && key.encoding !== 'text' && key.encoding !== 'base64') {
+    throw new Error('Share link key encoding must be "text" or "base64"');
+  }
+  if (key.encoding === 'base64' && key.secret !== undefined) {
+    try {
+      atob(key.secret);
+    } catch (error) {
+      throw new Error('Share link secret is not valid base64');
+    }
+  }
+};
+
+// Decode a location hash. Resolves to the shared state, or null when the hash is not a share link.
+// Throws when the link is corrupted or its state does not have the shape buildShareState gives.
+export const decodeShareFragment = async (hash) => {
+  if (!hash || !hash.startsWith(SHARE_FRAGMENT_PREFIX)) {
+    return null;
+  }
+
+  const encoded = hash.slice(SHARE_FRAGMENT_PREFIX.length);
+  let bytes;
+  try {
+    if (encoded.startsWith(COMPRESSED_MARKER)) {
+      bytes = await decompress(base64url.decode(encoded.slice(COMPRESSED_MARKER.length)));
+    } else if (encoded.startsWith(PLAIN_MARKER)) {
+      bytes = base64url.decode(encoded.slice(PLAIN_MARKER.length));
+    } else {
+      throw new Error('unknown encoding');
+    }
+  } catch (error) {
+    throw new Error('Share link is corrupted: ' + error.message);
+  }
+
+  let state;
+  try {
+    state = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new Error('Share link is corrupted: ' + error.message);
+  }
+  if (!isPlainObject(state)) {
+    throw new Error('Share link is corrupted: expected a JSON object');
+  }
+  if (state.v !== SHARE_VERSION) {
+    throw new Error(`Unsupported share link version ${state.v}`);
+  }
+  if (state.token !== undefined) {
+    if (typeof state.token !== 'string' || state.token.trim() === '') {
+      throw new Error('Share link token must be a non-empty string');
+    }
+  } else if (!isPlainObject(state.header) || !isPlainObject(state.payload)) {
+    throw new Error('Share link contains no token');
+  }
+  if (state.key !== undefined) {
+    checkSharedKey(state.key);
+  }
+  return state;
+};
@@ -0,0 +1,236 @@
+import { nowInSeconds, isNumericDate } from './time.js';
+import { parseTimeExpression } from './timeexpr.js';
+
+// Token templates: named header + payload presets whose string values may hold placeholders
+// that are resolved every time a token is signed from them:
+//   {{uuid}}                     random UUID v4
+//   {{random:16}}                16 random bytes, base64url-encoded
+//   {{now}}, {{now+1h}}, {{iat+5m}}, {{tomorrow 09:00 KST}}
+//                                any time expression (see timeexpr.js); claim references
+//                                use the claims resolved before them
+// A value that is only a time placeholder becomes a NumericDate; placeholders inside longer
+// strings are replaced by their text ("user-{{uuid}}").
+
+export const TEMPLATES_STORAGE_KEY = 'jwtTemplates';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+const WHOLE_PLACEHOLDER_PATTERN = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+
+const MAX_RANDOM_BYTES = 1024;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const randomBase64Url = (length) => {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// One placeholder expression -> its value (string or NumericDate)
+const resolvePlaceholder = (expression, context) => {
+  if (expression === 'uuid') {
+    return crypto.randomUUID();
+  }
+  const random = /^random:(\d+)$/.exec(expression);
+  if (random) {
+    const length = Number(random[1]);
+    if (length < 1 || length > MAX_RANDOM_BYTES) {
+      throw new Error(`{{random:N}} takes 1 to ${MAX_RANDOM_BYTES} bytes`);
+    }
+    return randomBase64Url(length);
+  }
+  try {
+    return parseTimeExpression(expression, context);
+  } catch (error) {
+    throw new Error(`Unknown placeholder {{${expression}}}: ${error.message}`);
+  }
+};
+
+const resolveValue = (value, context) => {
+  if (typeof value === 'string') {
+    const whole = WHOLE_PLACEHOLDER_PATTERN.exec(value);
+    if (whole) return resolvePlaceholder(whole[1], context);
+    return value.replace(PLACEHOLDER_PATTERN, (match, expression) => String(resolvePlaceholder(expression, context)));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveValue(item, context));
+  }
+  if (isPlainObject(value)) {
+    return resolveObject(value, context);
+  }
+  return value;
+};
+
+// Members are resolved in order so that later ones can refer to earlier ones ({{iat+1h}})
+const resolveObject = (object, context) => {
+  const resolved = {};
+  Object.entries(object).forEach(([key, value]) => {
+    resolved[key] = resolveValue(value, { ...context, claims: resolved });
+  });
+  return resolved;
+};
+
+// Replace every placeholder in a JSON object; throws on unknown placeholders
+export const resolvePlaceholders = (object, { now = nowInSeconds(), timeZone = 'local' } = {}) => (
+  resolveObject(object, { now, timeZone, claims: {} })
+);
+
+// Header and payload of a template with fresh values
+export const applyTemplate = (template, options) => ({
+  header: resolvePlaceholders(template.header, options),
+  payload: resolvePlaceholders(template.payload, options)
+});
+
+// Largest unit that divides the offset exactly, e.g. 300 -> "5m", 90 -> "90s"
+const formatOffset = (seconds) => {
+  const units = [['d', 86400], ['h', 3600], ['m', 60]];
+  const sign = seconds < 0 ? '-' : '+';
+  const absolute = Math.abs(seconds);
+  const [unit, size] = units.find(([, unitSize]) => absolute % unitSize === 0) || ['s', 1];
+  return `${sign}${absolute / size}${unit}`;
+};
+
+// Turn a concrete payload into template form: times relative to now, a fresh jti
+export const toTemplatePayload = (payload) => {
+  const base = isNumericDate(payload.iat) ? payload.iat : nowInSeconds();
+  const result = { ...payload };
+  ['iat', 'nbf', 'auth_time', 'exp'].forEach(claim => {
+    if (!isNumericDate(payload[claim])) return;
+    const offset = Math.round(payload[claim] - base);
+    result[claim] = offset === 0 ? '{{now}}' : `{{now${formatOffset(offset)}}}`;
+  });
+  if (typeof payload.jti === 'string') {
+    result.jti = '{{uuid}}';
+  }
+  return result;
+};
+
+// Check the shape of a template from storage or a file; returns { name, header, payload }
+export const normalizeTemplate = (template) => {
+  if (!isPlainObject(template) || typeof template.name !== 'string' || !template.name.trim()) {
+    throw new Error('Every template needs a name');
+  }
+  if (!isPlainObject(template.header) || typeof template.header.alg !== 'string') {
+    throw new Error(`Template "${template.name}": header must be an object with an alg`);
+  }
+  if (!isPlainObject(template.payload)) {
+    throw new Error(`Template "${template.name}": payload must be an object`);
+  }
+  return { name: template.name.trim(), header: template.header, payload: template.payload };
+};
+
+export const exportTemplates = (templates) => JSON.stringify({ version: 1, templates }, null, 2);
+
+// Templates file (as written by exportTemplates, or a bare array) -> normalized templates
+export const parseTemplatesFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Templates file is not valid JSON: ' + error.message);
+  }
+  const templates = Array.isArray(data) ? data : data?.templates;
+  if (!Array.isArray(templates)) {
+    throw new Error('Templates file must contain a "templates" array');
+  }
+  return templates.map(normalizeTemplate);
+};
+
+// Presets that ship with the app; they sign with HS256 so they work with the default secret
+export const BUILT_IN_TEMPLATES = [
+  {
+    name: 'Keycloak admin user (5 min)',
+    header: { alg: 'HS256', typ: 'JWT' },
+    payload: {
+      exp: '{{now+5m}}',
+      iat: '{{now}}',
+      jti: '{{uuid}}',
+      iss: 'https://sso.example.com/realms/demo',
+      aud: 'account',
+      sub: '{{uuid}}',
+      typ: 'Bearer',
+      azp: 'demo-app',
+      session_state: '{{uuid}}',
+      scope: 'openid profile email',
+      realm_access: { roles: ['admin', 'offline_access', 'uma_authorization'] },
+      resource_access: { account: { roles: ['manage-account', 'view-profile'] } },
+      preferred_username: 'admin',
+      email: 'admin@example.com',
+      email_verified: true
+    }
+  },
+  {
+    name: 'Auth0 machine-to-machine (1 h)',
+    header: { alg: 'HS256', typ: 'JWT' },
+    payload: {
+      iss: 'https://example.auth0.com/',
+      sub: 'example-client@clients',
+      aud: 'https://api.example.com',
+      iat: '{{now}}',
+      exp: '{{now+1h}}',
+      jti: '{{uuid}}',
+      gty: 'client-credentials',
+      azp: 'example-client',
+      scope: 'read:users write:users'
+    }
+  },
+  {
+    name: 'Azure AD user (1 h)',
+    header: { alg: 'HS256', typ: 'JWT' },
+    payload: {
+      aud: 'api://example-api',
+      iss: 'https://login.microsoftonline.com/00000000-0000-0000-0000-000000000000/v2.0',
+      iat: '{{now}}',
+      nbf: '{{now}}',
+      exp: '{{now+1h}}',
+      name: 'Example User',
+      oid: '{{uuid}}',
+      preferred_username: 'user@example.com',
+      roles: ['Admin'],
+      scp: 'access_as_user',
+      sub: '{{random:32}}',
+      tid: '00000000-0000-0000-0000-000000000000',
+      uti: '{{random:16}}',
+      ver: '2.0'
+    }
+  },
+  {
+    name: 'Cognito access token (1 h)',
+    header: { alg: 'HS256', typ: 'JWT' },
+    payload: {
+      sub: '{{uuid}}',
+      'cognito:groups': ['admin'],
+      iss: 'https://cognito-idp.us-east-1.amazonaws.com/us-east-1_example',
+      client_id: 'example-client',
+      origin_jti: '{{uuid}}',
+      event_id: '{{uuid}}',
+      token_use: 'access',
+      scope: 'aws.cognito.signin.user.admin',
+      auth_time: '{{now}}',
+      iat: '{{now}}',
+      exp: '{{now+1h}}',
+      jti: '{{uuid}}',
+      username: 'admin'
+    }
+  },
+  {
+    name: 'Firebase ID token (1 h)',
+    header: { alg: 'HS256', typ: 'JWT' },
+    payload: {
+      iss: 'https://securetoken.google.com/example-project',
+      aud: 'example-project',
+      auth_time: '{{now}}',
+      user_id: 'example-user',
+      sub: 'example-user',
+      iat: '{{now}}',
+      exp: '{{now+1h}}',
+      email: 'user@example.com',
+      email_verified: true,
+      firebase: { identities: { email: ['user@example.com'] }, sign_in_provider: 'password' }
+    }
+  }
+];
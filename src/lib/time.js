@@ -0,0 +1,135 @@
+// Current time as a NumericDate (seconds since epoch)
+export const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+// Compact human duration with the two largest units, e.g. 93784 -> "1d 2h"
+export const formatDuration = (totalSeconds) => {
+  const seconds = Math.abs(Math.round(totalSeconds));
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+
+  const units = [
+    ['d', 86400],
+    ['h', 3600],
+    ['m', 60]
+  ];
+  const parts = [];
+  let remaining = seconds;
+  units.forEach(([label, size]) => {
+    const value = Math.floor(remaining / size);
+    if (value > 0 && parts.length < 2) {
+      parts.push(`${value}${label}`);
+    }
+    remaining %= size;
+  });
+  return parts.join(' ');
+};
+
+// Signed difference between two NumericDates, e.g. 7200 -> "+2h", -300 -> "-5m"
+export const formatDelta = (seconds) => {
+  if (seconds === 0) return '±0s';
+  return `${seconds > 0 ? '+' : '-'}${formatDuration(seconds)}`;
+};
+
+// Whether a claim value is a valid NumericDate (RFC 7519 section 2)
+export const isNumericDate = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Relative description of a NumericDate, e.g. "in 2h" or "5m ago"
+export const formatRelative = (epoch, now = nowInSeconds()) => (
+  epoch >= now ? `in ${formatDuration(epoch - now)}` : `${formatDuration(now - epoch)} ago`
+);
+
+// NumericDate claims registered by RFC 7519 and OpenID Connect
+export const NUMERIC_DATE_CLAIMS = ['exp', 'nbf', 'iat', 'auth_time', 'updated_at'];
+
+// Time zones offered first in time zone pickers; 'local' is the browser's zone
+export const COMMON_TIME_ZONES = [
+  'local',
+  'UTC',
+  'Asia/Seoul',
+  'Asia/Tokyo',
+  'Asia/Shanghai',
+  'Asia/Kolkata',
+  'Europe/London',
+  'Europe/Berlin',
+  'America/New_York',
+  'America/Chicago',
+  'America/Los_Angeles',
+  'Australia/Sydney'
+];
+
+// Common zones followed by every other zone the runtime knows about
+export const listTimeZones = () => {
+  const supported = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return [...new Set([...COMMON_TIME_ZONES, ...supported])];
+};
+
+const resolveTimeZone = (timeZone) => (timeZone === 'local' ? undefined : timeZone);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Wall-clock fields of an instant in a time zone
+const getZonedParts = (epochMs, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: resolveTimeZone(timeZone),
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(epochMs));
+  const fields = {};
+  parts.forEach(({ type, value }) => {
+    if (type !== 'literal') fields[type] = parseInt(value);
+  });
+  return fields;
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const getTimeZoneOffset = (epochMs, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(epochMs, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(epochMs / 1000) * 1000;
+};
+
+// NumericDate -> "YYYY-MM-DDTHH:mm" in a time zone, the format of <input type="datetime-local">
+export const toDateTimeInput = (epoch, timeZone = 'local') => {
+  const { year, month, day, hour, minute } = getZonedParts(epoch * 1000, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
+};
+
+// "YYYY-MM-DDTHH:mm[:ss]" wall-clock time in a time zone -> NumericDate (NaN when malformed)
+export const fromDateTimeInput = (value, timeZone = 'local') => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(value || '');
+  if (!match) return NaN;
+  const [year, month, day, hour, minute, second = 0] = match.slice(1).map(field => (field === undefined ? undefined : Number(field)));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Second pass corrects the offset when the first guess lands across a DST change
+  let instant = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  instant = wallClock - getTimeZoneOffset(instant, timeZone);
+  return Math.floor(instant / 1000);
+};
+
+// Readable date in a time zone, e.g. "2024-05-01 09:00:00 GMT+9"
+export const formatInTimeZone = (epoch, timeZone = 'local') => {
+  const { year, month, day, hour, minute, second } = getZonedParts(epoch * 1000, timeZone);
+  const zoneName = new Intl.DateTimeFormat('en-US', { timeZone: resolveTimeZone(timeZone), timeZoneName: 'short' })
+    .formatToParts(new Date(epoch * 1000))
+    .find(part => part.type === 'timeZoneName');
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}${zoneName ? ' ' + zoneName.value : ''}`;
+};
+
+// Last second of the day containing `epoch`, in a time zone
+export const endOfDay = (epoch, timeZone = 'local') => {
+  const { year, month, day } = getZonedParts(epoch * 1000, timeZone);
+  return fromDateTimeInput(`${year}-${pad(month)}-${pad(day)}T23:59:59`, timeZone);
+};
+
+// Countdown with seconds, e.g. 93784 -> "1d 02:03:04"
+export const formatCountdown = (totalSeconds) => {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const days = Math.floor(seconds / 86400);
+  const clock = `${pad(Math.floor(seconds % 86400 / 3600))}:${pad(Math.floor(seconds % 3600 / 60))}:${pad(seconds % 60)}`;
+  return days > 0 ? `${days}d ${clock}` : clock;
+};
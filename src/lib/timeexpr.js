@@ -0,0 +1,208 @@
+import { NUMERIC_DATE_CLAIMS, isNumericDate, nowInSeconds, toDateTimeInput, fromDateTimeInput } from './time.js';
+
+// Time expressions accepted wherever a NumericDate is typed in:
+//   1735689600                   epoch seconds
+//   now, +1h, -15m, 30d, PT15M   relative to now; a bare duration means "from now"
+//   iat+3600, exp - 1h30m        relative to a NumericDate claim of the token
+//   tomorrow 09:00 KST, today    today / tomorrow / yesterday with an optional time and zone
+//   2025-01-01T09:00 [zone]      ISO 8601 date, time optional
+// Offsets can be chained after any of these ("tomorrow 9am +30m"). Durations use the units
+// s, m, h, d and w, or ISO 8601 (P1DT2H; a year counts as 365 days, a month as 30).
+// Zones are Z / UTC / GMT, common abbreviations, IANA names or ±HH:MM; the default is `timeZone`.
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// Sizes of the ISO 8601 duration fields in pattern order: Y M W D, then T H M S
+const ISO_FIELD_SECONDS = [365 * 86400, 30 * 86400, 604800, 86400, 3600, 60, 1];
+
+// Each abbreviation stands for one zone, so "EST" in July is read as New York daylight time
+const ZONE_ABBREVIATIONS = {
+  z: 'UTC',
+  utc: 'UTC',
+  gmt: 'UTC',
+  kst: 'Asia/Seoul',
+  jst: 'Asia/Tokyo',
+  cst: 'America/Chicago',
+  cdt: 'America/Chicago',
+  ist: 'Asia/Kolkata',
+  sgt: 'Asia/Singapore',
+  hkt: 'Asia/Hong_Kong',
+  bst: 'Europe/London',
+  cet: 'Europe/Berlin',
+  cest: 'Europe/Berlin',
+  est: 'America/New_York',
+  edt: 'America/New_York',
+  mst: 'America/Denver',
+  mdt: 'America/Denver',
+  pst: 'America/Los_Angeles',
+  pdt: 'America/Los_Angeles',
+  aest: 'Australia/Sydney',
+  aedt: 'Australia/Sydney'
+};
+
+const ZONE = '(z|[+-]\\d{2}:\\d{2}|[a-z_]+(?:\\/[a-z_+-]+)+|[a-z]{2,5})';
+
+const ISO_DATE_PATTERN = new RegExp(`^(\\d{4})-(\\d{2})-(\\d{2})(?:[t ](\\d{2}):(\\d{2})(?::(\\d{2})(?:\\.\\d+)?)?)?(?: ?${ZONE}(?![a-z]))?`, 'i');
+
+const DAY_PATTERN = new RegExp(`^(today|tomorrow|yesterday)(?: (\\d{1,2})(?::(\\d{2}))?(?::(\\d{2}))?(?: ?(am|pm))?)?(?: ${ZONE}(?![a-z]))?`, 'i');
+
+const DAY_SHIFTS = { yesterday: -1, today: 0, tomorrow: 1 };
+
+const ISO_DURATION_PATTERN = /^p(?:(\d+(?:\.\d+)?)y)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)w)?(?:(\d+(?:\.\d+)?)d)?(?:t(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s)?)?$/i;
+
+// "1h30m", "90s", "3600" (seconds) or an ISO 8601 duration -> seconds; NaN when unreadable
+export const parseDuration = (text) => {
+  const value = text.trim();
+  const iso = ISO_DURATION_PATTERN.exec(value);
+  if (iso) {
+    if (!iso.slice(1).some(Boolean) || /t$/i.test(value)) return NaN;
+    return iso.slice(1).reduce((total, amount, i) => total + (amount ? Number(amount) * ISO_FIELD_SECONDS[i] : 0), 0);
+  }
+  if (/^\d+(?:\.\d+)?$/.test(value)) return Number(value);
+  if (!/^(?:\d+(?:\.\d+)?[smhdw])+$/i.test(value)) return NaN;
+  return [...value.matchAll(/(\d+(?:\.\d+)?)([smhdw])/gi)]
+    .reduce((total, [, amount, unit]) => total + Number(amount) * UNIT_SECONDS[unit.toLowerCase()], 0);
+};
+
+// Zone text -> { timeZone } or { offsetSeconds } for fixed ±HH:MM offsets
+const resolveZone = (zone, fallback) => {
+  if (!zone) return { timeZone: fallback };
+  const offset = /^([+-])(\d{2}):(\d{2})$/.exec(zone);
+  if (offset) {
+    return { offsetSeconds: (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 3600 + Number(offset[3]) * 60) };
+  }
+  const abbreviation = ZONE_ABBREVIATIONS[zone.toLowerCase()];
+  if (abbreviation) return { timeZone: abbreviation };
+  if (zone.includes('/')) {
+    try {
+      return { timeZone: new Intl.DateTimeFormat('en-US', { timeZone: zone }).resolvedOptions().timeZone };
+    } catch (error) {
+      // Reported below
+    }
+  }
+  throw new Error(`Unknown time zone "${zone}"`);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Wall-clock date and time in a zone -> NumericDate
+const wallClockToEpoch = ({ year, month, day, hour = 0, minute = 0, second = 0 }, zone) => {
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+    throw new Error('Invalid date or time');
+  }
+  if (zone.offsetSeconds !== undefined) {
+    return Date.UTC(year, month - 1, day, hour, minute, second) / 1000 - zone.offsetSeconds;
+  }
+  return fromDateTimeInput(`${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`, zone.timeZone);
+};
+
+// Calendar date of an instant in a zone, shifted by whole days
+const zonedDate = (epoch, zone, dayShift) => {
+  const date = zone.offsetSeconds !== undefined
+    ? new Date((epoch + zone.offsetSeconds) * 1000).toISOString().slice(0, 10)
+    : toDateTimeInput(epoch, zone.timeZone).slice(0, 10);
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + dayShift);
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+};
+
+const to24Hour = (hour, meridiem) => {
+  if (!meridiem) return hour;
+  if (hour < 1 || hour > 12) throw new Error('Invalid time');
+  return (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+};
+
+// The leading absolute part of an expression -> { base, rest }, or null when there is none
+const parseBase = (input, { now, claims, timeZone }) => {
+  let match = ISO_DATE_PATTERN.exec(input);
+  if (match) {
+    const [text, year, month, day, hour, minute, second, zone] = match;
+    const base = wallClockToEpoch({
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: Number(hour || 0),
+      minute: Number(minute || 0),
+      second: Number(second || 0)
+    }, resolveZone(zone, timeZone));
+    return { base, rest: input.slice(text.length) };
+  }
+
+  match = DAY_PATTERN.exec(input);
+  if (match) {
+    const [text, keyword, hour, minute, second, meridiem, zoneText] = match;
+    const zone = resolveZone(zoneText, timeZone);
+    const base = wallClockToEpoch({
+      ...zonedDate(now, zone, DAY_SHIFTS[keyword.toLowerCase()]),
+      hour: to24Hour(Number(hour || 0), meridiem),
+      minute: Number(minute || 0),
+      second: Number(second || 0)
+    }, zone);
+    return { base, rest: input.slice(text.length) };
+  }
+
+  match = /^now(?![a-z0-9_])/i.exec(input);
+  if (match) {
+    return { base: now, rest: input.slice(match[0].length) };
+  }
+
+  match = /^\d+(?![\d.a-z])/i.exec(input);
+  if (match) {
+    return { base: Number(match[0]), rest: input.slice(match[0].length) };
+  }
+
+  // Claim references; names that are neither claims nor registered dates may be durations (PT15M)
+  match = /^[a-z_$][\w$]*/i.exec(input);
+  if (match && (match[0] in claims || NUMERIC_DATE_CLAIMS.includes(match[0]))) {
+    const claim = match[0];
+    if (!isNumericDate(claims[claim])) {
+      throw new Error(`The token has no numeric ${claim} claim`);
+    }
+    return { base: claims[claim], rest: input.slice(claim.length) };
+  }
+  return null;
+};
+
+// "+1h -15m 30s" -> seconds; a term without a sign keeps the previous one
+const parseOffsets = (text) => {
+  let total = 0;
+  let sign = 1;
+  let rest = text.trim();
+  while (rest) {
+    const match = /^([+-])?\s*([^\s+-]*)\s*/.exec(rest);
+    if (match[1]) sign = match[1] === '-' ? -1 : 1;
+    const seconds = parseDuration(match[2] || '');
+    if (!match[2] || isNaN(seconds)) {
+      throw new Error(`Cannot read "${rest}"`);
+    }
+    total += sign * seconds;
+    rest = rest.slice(match[0].length);
+  }
+  return total;
+};
+
+// Resolve a time expression to a NumericDate. `claims` supplies values for iat+3600 and friends,
+// `timeZone` is used for dates written without a zone. Throws with a readable message.
+export const parseTimeExpression = (text, { now = nowInSeconds(), claims = {}, timeZone = 'local' } = {}) => {
+  const input = String(text ?? '').trim().replace(/\s+/g, ' ');
+  if (!input) {
+    throw new Error('Enter a time');
+  }
+  const parsed = parseBase(input, { now, claims: claims || {}, timeZone });
+  const epoch = parsed
+    ? parsed.base + parseOffsets(parsed.rest)
+    : now + parseOffsets(input);
+  if (!Number.isFinite(epoch)) {
+    throw new Error(`Cannot read "${input}"`);
+  }
+  return Math.round(epoch);
+};
+
+// parseTimeExpression without throwing, for live previews: { epoch, error }
+export const evaluateTimeExpression = (text, options) => {
+  try {
+    return { epoch: parseTimeExpression(text, options), error: null };
+  } catch (error) {
+    return { epoch: null, error: error.message };
+  }
+};
@@ -0,0 +1,58 @@
+import { NUMERIC_DATE_CLAIMS, isNumericDate, endOfDay } from './time.js';
+
+// Labels for the registered NumericDate claims
+export const DATE_CLAIM_LABELS = {
+  exp: 'Expiration',
+  nbf: 'Not Before',
+  iat: 'Issued At',
+  auth_time: 'Authentication Time',
+  updated_at: 'Updated At'
+};
+
+export const DEFAULT_TIMELINE_SETTINGS = {
+  inputMode: 'epoch', // 'epoch', 'date'
+  timeZone: 'local'
+};
+
+// Custom claims holding an integer between 2001 and 2286 are treated as NumericDates
+const looksLikeEpochSeconds = (value) => Number.isInteger(value) && value >= 1e9 && value < 1e10;
+
+// Every NumericDate claim of a payload, ordered by time
+export const findDateClaims = (payload) => {
+  if (!payload || typeof payload !== 'object') return [];
+  return Object.keys(payload)
+    .filter(claim => NUMERIC_DATE_CLAIMS.includes(claim)
+      ? isNumericDate(payload[claim])
+      : looksLikeEpochSeconds(payload[claim]))
+    .sort((a, b) => payload[a] - payload[b]);
+};
+
+// Validity window of a token: from nbf (or iat) until exp; either end may be null
+export const getValidityWindow = (payload) => {
+  const startClaim = isNumericDate(payload?.nbf) ? 'nbf' : isNumericDate(payload?.iat) ? 'iat' : null;
+  return {
+    start: startClaim ? payload[startClaim] : null,
+    startClaim,
+    end: isNumericDate(payload?.exp) ? payload.exp : null
+  };
+};
+
+// One-click edits; offsets are applied to the claim's current value
+export const QUICK_EDITS = [
+  { id: '-15m', label: '-15m', offset: -15 * 60 },
+  { id: '+15m', label: '+15m', offset: 15 * 60 },
+  { id: '+1h', label: '+1h', offset: 3600 },
+  { id: '+1d', label: '+1d', offset: 86400 },
+  { id: 'now', label: 'Now' },
+  { id: 'end-of-day', label: 'End of day' }
+];
+
+export const applyQuickEdit = (editId, current, { now, timeZone }) => {
+  const edit = QUICK_EDITS.find(item => item.id === editId);
+  if (!edit) {
+    throw new Error(`Unknown edit ${editId}`);
+  }
+  if (edit.id === 'now') return now;
+  if (edit.id === 'end-of-day') return endOfDay(now, timeZone);
+  return (isNumericDate(current) ? current : now) + edit.offset;
+};
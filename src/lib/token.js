@@ -0,0 +1,166 @@
+import { SignJWT, decodeProtectedHeader, decodeJwt } from 'jose';
+import { isHmacAlgorithm, isSupportedAlgorithm, importPrivateKey } from './keys.js';
+import { isCompactJwe } from './jwe.js';
+import { signCompactJws, isUnsecuredAlgorithm, isUnencodedPayload } from './jws.js';
+import { decodeToken, describeTimestamps } from './decode.js';
+import { decodeSecret, verifySignature } from './verify.js';
+import { applyPatch, diffObjects } from './patch.js';
+import { parseTimeExpression } from './timeexpr.js';
+import { validateClaims, DEFAULT_VALIDATION_OPTIONS } from './validation.js';
+
+// Framework-free token operations shared by the app, the worker API and the CLI.
+// Key material is passed as { secretBytes, privateKeyText, keyText, jwksText }.
+
+// Key that signs with `alg`: the secret bytes for HMAC, an imported private key otherwise,
+// and null for unsecured tokens (alg: none)
+export const resolveSigningKey = async (alg, { secretBytes = null, privateKeyText = '' } = {}) => {
+  if (isUnsecuredAlgorithm(alg)) {
+    return null;
+  }
+  if (!isSupportedAlgorithm(alg)) {
+    throw new Error(`Algorithm ${alg} is not supported`);
+  }
+  if (isHmacAlgorithm(alg)) {
+    if (!secretBytes || secretBytes.length === 0) {
+      throw new Error(`${alg} requires a secret`);
+    }
+    return secretBytes;
+  }
+  return importPrivateKey(privateKeyText, alg);
+};
+
+// Compact JWS of `payload` under `header` with an already resolved signing key.
+// Unsecured, unencoded ("b64": false) and `detached` tokens are built by jws.js.
+export const signToken = (header, payload, signingKey, { detached = false } = {}) => {
+  if (detached || isUnsecuredAlgorithm(header.alg) || isUnencodedPayload(header)) {
+    return signCompactJws(header, JSON.stringify(payload), signingKey, { detached });
+  }
+  return new SignJWT(payload)
+    .setProtectedHeader(header)
+    .sign(signingKey);
+};
+
+// Claims of a detached payload ({} when it is missing or not a JSON object)
+const parseDetachedClaims = (text) => {
+  try {
+    const claims = JSON.parse(text);
+    return claims !== null && typeof claims === 'object' && !Array.isArray(claims) ? claims : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Signature result plus claim checks, as returned by POST /api/verify.
+// `valid` is true only when the signature verifies and no claim check fails.
+// The claims of a detached JWS are read from keys.detachedPayload.
+export const verifyAndValidate = async (token, keys = {}, expected = {}) => {
+  if (isCompactJwe(token)) {
+    throw new Error('Encrypted tokens (JWE) cannot be verified');
+  }
+  const decoded = decodeToken(token);
+  const payload = decoded.payload ?? parseDetachedClaims(keys.detachedPayload);
+  const signature = await verifySignature(token, keys);
+  const claims = validateClaims(decoded.header, payload, { ...DEFAULT_VALIDATION_OPTIONS, ...expected });
+  return {
+    valid: signature.verified && claims.every(check => check.status !== 'fail'),
+    signature,
+    claims,
+    timestamps: describeTimestamps(payload)
+  };
+};
+
+// Key material from one free-form field: PEM or JWK text is a key, a JWK Set is a JWKS,
+// anything else is an HMAC secret in `secretEncoding` ('text' or 'base64').
+export const parseKeyInput = (text, secretEncoding = 'text') => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('-----BEGIN') || trimmed.startsWith('{')) {
+    let isJwks = false;
+    try {
+      isJwks = Array.isArray(JSON.parse(trimmed).keys);
+    } catch (error) {
+      // PEM, or malformed JSON reported later by the key import
+    }
+    return isJwks
+      ? { secretBytes: null, keyText: '', privateKeyText: '', jwksText: trimmed }
+      : { secretBytes: null, keyText: trimmed, privateKeyText: trimmed, jwksText: '' };
+  }
+  return { secretBytes: decodeSecret(text, secretEncoding), keyText: '', privateKeyText: '', jwksText: '' };
+};
+
+// Rewrite one token and re-sign it. Steps, in order:
+//   verifyKeys       - when set, the original signature must verify with these keys
+//   headerPatch      - parsed patch (see parsePatch) applied to the header
+//   payloadPatch     - parsed patch applied to the payload
+//   exp              - new exp: a NumericDate, or a time expression (see timeexpr.js) resolved
+//                      against the patched payload, so "iat+1h" differs per token
+//   timeZone         - zone for dates in the exp expression (default 'local')
+//   alg              - new signing algorithm (defaults to the header's)
+//   signingKeys      - key material for the (new) algorithm
+// Resolves to { original, newToken, header, payload, newExp, changes } where changes is
+// the structural diff of header and payload.
+export const rewriteToken = async (token, {
+  verifyKeys = null,
+  headerPatch = null,
+  payloadPatch = null,
+  exp = null,
+  timeZone = 'local',
+  alg = null,
+  signingKeys = {}
+} = {}) => {
+  const trimmed = token.trim();
+  const originalHeader = decodeProtectedHeader(trimmed);
+  const originalPayload = decodeJwt(trimmed);
+
+  if (verifyKeys) {
+    const result = await verifySignature(trimmed, verifyKeys);
+    if (!result.verified) {
+      throw new Error(`Signature does not verify with the old key (${result.reason})`);
+    }
+  }
+
+  const header = headerPatch ? applyPatch(originalHeader, headerPatch) : { ...originalHeader };
+  if (alg) {
+    header.alg = alg;
+  }
+  const payload = payloadPatch ? applyPatch(originalPayload, payloadPatch) : { ...originalPayload };
+  if (typeof exp === 'number') {
+    payload.exp = exp;
+  } else if (exp !== null) {
+    payload.exp = parseTimeExpression(exp, { claims: payload, timeZone });
+  }
+
+  const signingKey = await resolveSigningKey(header.alg, signingKeys);
+  return {
+    original: trimmed,
+    newToken: await signToken(header, payload, signingKey),
+    header,
+    payload,
+    newExp: payload.exp,
+    changes: [
+      ...diffObjects(originalHeader, header, 'header'),
+      ...diffObjects(originalPayload, payload, 'payload')
+    ]
+  };
+};
+
+// Rewrite a list of tokens. Failures are collected per line instead of aborting the batch.
+// Resolves to { processed: [{ ...rewriteToken result, lineNumber }], errors: [{ lineNumber, message }] }.
+export const rewriteTokens = async (tokens, options = {}) => {
+  const processed = [];
+  const errors = [];
+  for (let i = 0; i < tokens.length; i++) {
+    try {
+      processed.push({ ...await rewriteToken(tokens[i], options), lineNumber: i + 1 });
+    } catch (error) {
+      errors.push({ lineNumber: i + 1, message: error.message });
+    }
+  }
+  return { processed, errors };
+};
+
+export const formatBatchError = ({ lineNumber, message }) => `Line ${lineNumber}: ${message}`;
+
+// Re-sign tokens with `exp` replaced; header and other claims are kept as they are
+export const reExpireTokens = (tokens, exp, keys = {}, timeZone = 'local') => (
+  rewriteTokens(tokens, { exp, timeZone, signingKeys: keys })
+);
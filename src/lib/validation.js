@@ -0,0 +1,188 @@
+import { formatDuration, isNumericDate, nowInSeconds } from './time.js';
+
+// Header parameters a JWS/JWE library must never list in crit (RFC 7515 section 4.1.11)
+const REGISTERED_HEADER_PARAMETERS = [
+  'alg', 'jku', 'jwk', 'kid', 'x5u', 'x5c', 'x5t', 'x5t#S256', 'typ', 'cty', 'crit',
+  'enc', 'zip', 'epk', 'apu', 'apv', 'iv', 'tag', 'p2s', 'p2c'
+];
+
+// Extensions the verifier understands; jose only implements b64 (RFC 7797)
+export const UNDERSTOOD_CRITICAL_PARAMETERS = ['b64'];
+
+export const DEFAULT_VALIDATION_OPTIONS = {
+  clockSkew: 60,
+  issuer: '',
+  audience: '',
+  subject: '',
+  type: '',
+  allowedAlgorithms: ''
+};
+
+const pass = (id, label, message) => ({ id, label, status: 'pass', message });
+const fail = (id, label, message) => ({ id, label, status: 'fail', message });
+const warn = (id, label, message) => ({ id, label, status: 'warn', message });
+
+const formatTimestamp = (epoch) => new Date(epoch * 1000).toISOString();
+
+// Split "a, b c" style lists entered in the UI
+export const parseList = (value) => value.split(/[\s,]+/).map(item => item.trim()).filter(Boolean);
+
+// Media types compare case-insensitively and without the "application/" prefix (RFC 7515 section 4.1.9)
+const normalizeType = (value) => value.toLowerCase().replace(/^application\//, '');
+
+const checkAlgorithm = (header, options) => {
+  const label = 'Algorithm (alg)';
+  const allowed = parseList(options.allowedAlgorithms);
+
+  if (!header.alg) {
+    return fail('alg', label, 'Header has no alg');
+  }
+  if (header.alg === 'none') {
+    return fail('alg', label, 'Unsecured token (alg: none) must be rejected');
+  }
+  if (allowed.length === 0) {
+    return warn('alg', label, `${header.alg} accepted, but no allowed algorithm list is configured`);
+  }
+  if (!allowed.includes(header.alg)) {
+    return fail('alg', label, `${header.alg} is not in the allowed list (${allowed.join(', ')})`);
+  }
+  return pass('alg', label, `${header.alg} is allowed`);
+};
+
+const checkCritical = (header) => {
+  const label = 'Critical headers (crit)';
+
+  if (header.crit === undefined) {
+    return pass('crit', label, 'No critical header parameters');
+  }
+  if (!Array.isArray(header.crit) || header.crit.length === 0 || header.crit.some(name => typeof name !== 'string')) {
+    return fail('crit', label, 'crit must be a non-empty array of strings');
+  }
+
+  const registered = header.crit.filter(name => REGISTERED_HEADER_PARAMETERS.includes(name));
+  if (registered.length > 0) {
+    return fail('crit', label, `crit must not list registered parameters: ${registered.join(', ')}`);
+  }
+  const missing = header.crit.filter(name => !(name in header));
+  if (missing.length > 0) {
+    return fail('crit', label, `crit lists parameters absent from the header: ${missing.join(', ')}`);
+  }
+  const unknown = header.crit.filter(name => !UNDERSTOOD_CRITICAL_PARAMETERS.includes(name));
+  if (unknown.length > 0) {
+    return fail('crit', label, `Unsupported critical parameters: ${unknown.join(', ')}`);
+  }
+  return pass('crit', label, `All critical parameters understood (${header.crit.join(', ')})`);
+};
+
+const checkType = (header, options) => {
+  const label = 'Type (typ)';
+  if (!header.typ) {
+    return fail('typ', label, `Expected "${options.type}", header has no typ`);
+  }
+  if (normalizeType(header.typ) !== normalizeType(options.type)) {
+    return fail('typ', label, `Expected "${options.type}", got "${header.typ}"`);
+  }
+  return pass('typ', label, `"${header.typ}" matches`);
+};
+
+const checkExpiration = (payload, now, skew) => {
+  const label = 'Expiration (exp)';
+  if (payload.exp === undefined) {
+    return warn('exp', label, 'No exp claim - token never expires');
+  }
+  if (!isNumericDate(payload.exp)) {
+    return fail('exp', label, 'exp must be a NumericDate (number of seconds)');
+  }
+  if (now - skew >= payload.exp) {
+    return fail('exp', label, `Expired ${formatDuration(now - payload.exp)} ago (${formatTimestamp(payload.exp)})`);
+  }
+  if (now >= payload.exp) {
+    return warn('exp', label, `Expired ${formatDuration(now - payload.exp)} ago, accepted within clock skew`);
+  }
+  return pass('exp', label, `Expires in ${formatDuration(payload.exp - now)} (${formatTimestamp(payload.exp)})`);
+};
+
+const checkNotBefore = (payload, now, skew) => {
+  const label = 'Not Before (nbf)';
+  if (!isNumericDate(payload.nbf)) {
+    return fail('nbf', label, 'nbf must be a NumericDate (number of seconds)');
+  }
+  if (payload.nbf > now + skew) {
+    return fail('nbf', label, `Not valid for another ${formatDuration(payload.nbf - now)} (${formatTimestamp(payload.nbf)})`);
+  }
+  if (payload.nbf > now) {
+    return warn('nbf', label, `Becomes valid in ${formatDuration(payload.nbf - now)}, accepted within clock skew`);
+  }
+  return pass('nbf', label, `Valid since ${formatTimestamp(payload.nbf)}`);
+};
+
+const checkIssuedAt = (payload, now, skew) => {
+  const label = 'Issued At (iat)';
+  if (!isNumericDate(payload.iat)) {
+    return fail('iat', label, 'iat must be a NumericDate (number of seconds)');
+  }
+  if (payload.iat > now + skew) {
+    return fail('iat', label, `Issued ${formatDuration(payload.iat - now)} in the future`);
+  }
+  if (payload.iat > now) {
+    return warn('iat', label, `Issued ${formatDuration(payload.iat - now)} in the future, within clock skew`);
+  }
+  return pass('iat', label, `Issued ${formatDuration(now - payload.iat)} ago`);
+};
+
+const checkExactClaim = (payload, claim, label, expected) => {
+  if (payload[claim] === undefined) {
+    return fail(claim, label, `Expected "${expected}", claim is missing`);
+  }
+  if (payload[claim] !== expected) {
+    return fail(claim, label, `Expected "${expected}", got ${JSON.stringify(payload[claim])}`);
+  }
+  return pass(claim, label, `"${expected}" matches`);
+};
+
+// `expected` is one audience or a list of them, any of which is accepted
+const checkAudience = (payload, expected) => {
+  const label = 'Audience (aud)';
+  const accepted = Array.isArray(expected) ? expected : [expected];
+  const described = accepted.map(audience => `"${audience}"`).join(' or ');
+  if (payload.aud === undefined) {
+    return fail('aud', label, `Expected ${described}, claim is missing`);
+  }
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  const match = accepted.find(audience => audiences.includes(audience));
+  if (match === undefined) {
+    return fail('aud', label, `${described} is not in ${JSON.stringify(payload.aud)}`);
+  }
+  return pass('aud', label, `"${match}" is an accepted audience`);
+};
+
+// Build the validation report for a decoded token.
+// Checks for iss/aud/sub/typ are only included when an expected value is configured.
+export const validateClaims = (header, payload, options = DEFAULT_VALIDATION_OPTIONS, now = nowInSeconds()) => {
+  const skew = Math.max(0, Number(options.clockSkew) || 0);
+  const checks = [checkAlgorithm(header, options), checkCritical(header)];
+
+  if (options.type) {
+    checks.push(checkType(header, options));
+  }
+
+  checks.push(checkExpiration(payload, now, skew));
+  if (payload.nbf !== undefined) {
+    checks.push(checkNotBefore(payload, now, skew));
+  }
+  if (payload.iat !== undefined) {
+    checks.push(checkIssuedAt(payload, now, skew));
+  }
+
+  if (options.issuer) {
+    checks.push(checkExactClaim(payload, 'iss', 'Issuer (iss)', options.issuer));
+  }
+  if (options.audience && options.audience.length > 0) {
+    checks.push(checkAudience(payload, options.audience));
+  }
+  if (options.subject) {
+    checks.push(checkExactClaim(payload, 'sub', 'Subject (sub)', options.subject));
+  }
+
+  return checks;
+};
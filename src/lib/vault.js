@@ -0,0 +1,136 @@
+// Passphrase-encrypted key vault stored in IndexedDB.
+// The whole entry list is one AES-GCM blob, so names are encrypted along with the keys.
+
+const DB_NAME = 'jwt-huny-dev';
+const DB_VERSION = 1;
+const STORE_NAME = 'vault';
+const RECORD_ID = 'default';
+
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export const VAULT_SETTINGS_STORAGE_KEY = 'jwtVaultSettings';
+
+export const DEFAULT_VAULT_SETTINGS = {
+  autoLockMinutes: 5
+};
+
+// Converted byte by byte - spreading a large buffer into fromCharCode can overflow the stack
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+// Wrap an IDBRequest in a promise
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+      request.result.createObjectStore(STORE_NAME);
+    }
+  };
+  return promisifyRequest(request);
+};
+
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+  try {
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return await promisifyRequest(operation(store));
+  } finally {
+    db.close();
+  }
+};
+
+const readRecord = () => withStore('readonly', store => store.get(RECORD_ID));
+
+const writeRecord = (record) => withStore('readwrite', store => store.put(record, RECORD_ID));
+
+// Derive the AES-GCM key from the passphrase with PBKDF2-SHA-256
+const deriveVaultKey = async (passphrase, salt, iterations) => {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+export const vaultExists = async () => Boolean(await readRecord());
+
+// Encrypt and store the entries. A fresh IV is used for every write.
+export const saveVault = async (session, entries) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    session.key,
+    new TextEncoder().encode(JSON.stringify(entries))
+  );
+  await writeRecord({
+    version: 1,
+    kdf: 'PBKDF2-SHA-256',
+    iterations: session.iterations,
+    salt: bytesToBase64(session.salt),
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(ciphertext)
+  });
+};
+
+// Create an empty vault. Resolves to the unlocked session { key, salt, iterations }.
+export const createVault = async (passphrase) => {
+  if (!passphrase) {
+    throw new Error('Passphrase cannot be empty');
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const session = { key: await deriveVaultKey(passphrase, salt, PBKDF2_ITERATIONS), salt, iterations: PBKDF2_ITERATIONS };
+  await saveVault(session, []);
+  return session;
+};
+
+// Unlock the vault. Resolves to { session, entries }.
+export const unlockVault = async (passphrase) => {
+  const record = await readRecord();
+  if (!record) {
+    throw new Error('No vault found');
+  }
+
+  const salt = base64ToBytes(record.salt);
+  const key = await deriveVaultKey(passphrase, salt, record.iterations);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(record.iv) },
+      key,
+      base64ToBytes(record.ciphertext)
+    );
+  } catch (error) {
+    // AES-GCM authentication fails for a wrong passphrase
+    throw new Error('Incorrect passphrase');
+  }
+
+  return {
+    session: { key, salt, iterations: record.iterations },
+    entries: JSON.parse(new TextDecoder().decode(plaintext))
+  };
+};
+
+export const deleteVault = () => withStore('readwrite', store => store.delete(RECORD_ID));
@@ -0,0 +1,133 @@
+import { decodeProtectedHeader } from 'jose';
+import { isHmacAlgorithm, isSupportedAlgorithm, importPublicKey } from './keys.js';
+import { verifyWithJwksKeys, describeJwk } from './jwks.js';
+import { verifyJws, verifyJsonJwsSignature, isUnsecuredAlgorithm } from './jws.js';
+import { leafCertificatePem, parseX5c, parsePemCertificates, validateChain } from './x509.js';
+
+// Turn a secret string into key bytes. `encoding` is 'text' (UTF-8) or 'base64'.
+export const decodeSecret = (secret, encoding = 'text') => {
+  if (encoding === 'base64') {
+    try {
+      return Uint8Array.from(atob(secret), char => char.charCodeAt(0));
+    } catch (error) {
+      throw new Error('Invalid base64 encoding in secret key');
+    }
+  }
+  return new TextEncoder().encode(secret);
+};
+
+// Key that verifies `alg`: the secret bytes for HMAC, an imported public key otherwise.
+// A private key is reduced to its public half. Throws when the key is missing or unusable.
+export const resolveVerificationKey = async (alg, { secretBytes = null, keyText = '' } = {}) => {
+  if (!isSupportedAlgorithm(alg)) {
+    throw new Error(`Unsupported algorithm ${alg}`);
+  }
+  if (isHmacAlgorithm(alg)) {
+    if (!secretBytes || secretBytes.length === 0) {
+      throw new Error(`${alg} requires a secret`);
+    }
+    return secretBytes;
+  }
+  return importPublicKey(keyText, alg);
+};
+
+// Signature check only; expiration is ignored. Rejects when the signature does not verify.
+// Detached and unencoded payloads are supported (see jws.js).
+export const verifyWithKey = (token, key, alg, options) => verifyJws(token, key, alg, options);
+
+// x5c: the leaf certificate of the protected header's chain must verify the signature and the
+// chain must lead to one of the `trustAnchors` (PEM certificates). Anyone can put a self-signed
+// certificate in x5c, so a signature that only matches the leaf is reported as untrusted.
+const checkX5cSignature = async (protectedHeader, verify, trustAnchors) => {
+  const { alg } = protectedHeader;
+  const pem = leafCertificatePem(protectedHeader);
+  if (!pem) {
+    return { verified: false, alg, key: null, reason: 'The protected header has no "x5c" certificate chain' };
+  }
+  try {
+    await verify(await resolveVerificationKey(alg, { keyText: pem }));
+  } catch (error) {
+    return { verified: false, alg, key: null, reason: error.message };
+  }
+
+  const untrusted = (reason) => ({ verified: false, untrusted: true, alg, key: null, reason });
+  if (!trustAnchors.trim()) {
+    return untrusted('The signature matches the x5c leaf certificate, but no trust anchor was given to validate its chain');
+  }
+  let chain;
+  try {
+    chain = await validateChain(parseX5c(protectedHeader.x5c), parsePemCertificates(trustAnchors));
+  } catch (error) {
+    return untrusted(error.message);
+  }
+  if (!chain.trusted) {
+    const errors = chain.issues.filter(issue => issue.severity === 'error').map(issue => issue.message);
+    return untrusted(`The x5c chain is not trusted: ${errors.join('; ')}`);
+  }
+  return { verified: true, alg, key: `x5c leaf certificate (trust anchor "${chain.anchor.subject}")`, reason: null };
+};
+
+// One signature with protected + unprotected `header`, checked by `verify(key)` against a secret,
+// a public key (PEM / JWK), a JWKS or, with `x5c`, the x5c chain of `protectedHeader` up to one
+// of the `trustAnchors`. Resolves to { verified, alg, key, reason } plus `untrusted: true` when
+// the signature matches an x5c chain that does not lead to a trust anchor.
+const checkSignature = async (header, protectedHeader, verify, { secretBytes, keyText, jwksText, x5c, trustAnchors }) => {
+  const { alg } = header;
+  if (isUnsecuredAlgorithm(alg)) {
+    return { verified: false, alg, key: null, reason: 'Unsecured token (alg: none) has no signature to verify' };
+  }
+
+  if (jwksText) {
+    const result = await verifyWithJwksKeys(header, jwksText, verify);
+    return {
+      verified: result.verified,
+      alg,
+      key: result.verified ? describeJwk(result.key, result.index) : null,
+      reason: result.reason
+    };
+  }
+
+  if (x5c && !isHmacAlgorithm(alg)) {
+    return checkX5cSignature({ ...protectedHeader, alg }, verify, trustAnchors);
+  }
+
+  let key;
+  try {
+    key = await resolveVerificationKey(alg, { secretBytes, keyText });
+  } catch (error) {
+    return { verified: false, alg, key: null, reason: error.message };
+  }
+
+  try {
+    await verify(key);
+    return { verified: true, alg, key: isHmacAlgorithm(alg) ? 'secret' : 'public key', reason: null };
+  } catch (error) {
+    return { verified: false, alg, key: null, reason: error.message };
+  }
+};
+
+// Check a token signature against a secret, a public key (PEM / JWK), a JWKS or, with `x5c`,
+// the x5c chain up to `trustAnchors`. `detachedPayload` is the payload text of a detached JWS.
+// Expiration is ignored here - claim checks are reported by validateClaims.
+// Resolves to { verified, alg, key, reason } and never throws.
+export const verifySignature = async (token, { secretBytes = null, keyText = '', jwksText = '', x5c = false, trustAnchors = '', detachedPayload = null } = {}) => {
+  let header;
+  try {
+    header = decodeProtectedHeader(token);
+  } catch (error) {
+    return { verified: false, alg: null, key: null, reason: 'Failed to decode header: ' + error.message };
+  }
+  const verify = (key) => verifyWithKey(token, key, header.alg, { detachedPayload });
+  return checkSignature(header, header, verify, { secretBytes, keyText, jwksText, x5c, trustAnchors });
+};
+
+// Check every signature of a parsed JSON JWS on its own: HMAC signatures with the secret, the
+// others with the public key, each with the JWKS key its header selects, or with the x5c chain
+// of its protected header (never the unprotected one, which anyone can change).
+// Resolves to one { verified, alg, key, reason } per signature and never throws.
+export const verifyJsonJwsSignatures = (jws, { secretBytes = null, keyText = '', jwksText = '', x5c = false, trustAnchors = '', detachedPayload = null } = {}) => (
+  Promise.all(jws.signatures.map((entry, index) => {
+    const verify = (key) => verifyJsonJwsSignature(jws, index, key, entry.jointHeader.alg, { detachedPayload });
+    return checkSignature(entry.jointHeader, entry.protectedHeader, verify, { secretBytes, keyText, jwksText, x5c, trustAnchors });
+  }))
+);
@@ -0,0 +1,454 @@
+import { base64url } from 'jose';
+
+// X.509 certificate chains from the "x5c" header (RFC 7515 section 4.1.6): each entry is the
+// standard base64 (not base64url) DER of a certificate, the signer's certificate first.
+// A minimal DER reader is enough for what the tool shows and checks: names, validity, key type,
+// basic constraints, the "x5t" / "x5t#S256" thumbprints and each certificate's signature.
+
+const OID_NAMES = {
+  '2.5.4.3': 'CN',
+  '2.5.4.5': 'serialNumber',
+  '2.5.4.6': 'C',
+  '2.5.4.7': 'L',
+  '2.5.4.8': 'ST',
+  '2.5.4.10': 'O',
+  '2.5.4.11': 'OU',
+  '1.2.840.113549.1.9.1': 'emailAddress',
+  '0.9.2342.19200300.100.1.25': 'DC'
+};
+
+const HASH_OIDS = {
+  '1.3.14.3.2.26': 'SHA-1',
+  '2.16.840.1.101.3.4.2.1': 'SHA-256',
+  '2.16.840.1.101.3.4.2.2': 'SHA-384',
+  '2.16.840.1.101.3.4.2.3': 'SHA-512'
+};
+
+// Certificate signature algorithms: display name and WebCrypto parameters
+const SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.5': { name: 'sha1WithRSAEncryption', type: 'RSASSA-PKCS1-v1_5', hash: 'SHA-1' },
+  '1.2.840.113549.1.1.11': { name: 'sha256WithRSAEncryption', type: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+  '1.2.840.113549.1.1.12': { name: 'sha384WithRSAEncryption', type: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+  '1.2.840.113549.1.1.13': { name: 'sha512WithRSAEncryption', type: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' },
+  '1.2.840.113549.1.1.10': { name: 'RSASSA-PSS', type: 'RSA-PSS' },
+  '1.2.840.10045.4.3.2': { name: 'ecdsa-with-SHA256', type: 'ECDSA', hash: 'SHA-256' },
+  '1.2.840.10045.4.3.3': { name: 'ecdsa-with-SHA384', type: 'ECDSA', hash: 'SHA-384' },
+  '1.2.840.10045.4.3.4': { name: 'ecdsa-with-SHA512', type: 'ECDSA', hash: 'SHA-512' },
+  '1.3.101.112': { name: 'Ed25519', type: 'Ed25519' }
+};
+
+const CURVE_OIDS = {
+  '1.2.840.10045.3.1.7': 'P-256',
+  '1.3.132.0.34': 'P-384',
+  '1.3.132.0.35': 'P-521'
+};
+
+const KEY_OIDS = {
+  RSA: '1.2.840.113549.1.1.1',
+  EC: '1.2.840.10045.2.1',
+  Ed25519: '1.3.101.112',
+  Ed448: '1.3.101.113'
+};
+
+const BASIC_CONSTRAINTS_OID = '2.5.29.19';
+
+const TAG = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  OID: 0x06,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  EXTENSIONS: 0xa3
+};
+
+// One DER element at `offset`: { tag, content, raw, end }
+const readElement = (bytes, offset = 0) => {
+  if (offset + 2 > bytes.length) {
+    throw new Error('Truncated DER');
+  }
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let headerLength = 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    if (count === 0 || count > 4) {
+      throw new Error('Unsupported DER length');
+    }
+    length = 0;
+    for (let index = 0; index < count; index += 1) {
+      length = length * 256 + bytes[offset + 2 + index];
+    }
+    headerLength += count;
+  }
+  const end = offset + headerLength + length;
+  if (end > bytes.length) {
+    throw new Error('Truncated DER');
+  }
+  return { tag, content: bytes.subarray(offset + headerLength, end), raw: bytes.subarray(offset, end), end };
+};
+
+const readChildren = (element) => {
+  const children = [];
+  let offset = 0;
+  while (offset < element.content.length) {
+    const child = readElement(element.content, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+};
+
+const expectTag = (element, tag, what) => {
+  if (!element || element.tag !== tag) {
+    throw new Error(`Malformed certificate: expected ${what}`);
+  }
+  return element;
+};
+
+const decodeOid = (content) => {
+  const arcs = [Math.floor(content[0] / 40), content[0] % 40];
+  let value = 0;
+  for (let index = 1; index < content.length; index += 1) {
+    value = value * 128 + (content[index] & 0x7f);
+    if (!(content[index] & 0x80)) {
+      arcs.push(value);
+      value = 0;
+    }
+  }
+  return arcs.join('.');
+};
+
+const decodeString = (element) => {
+  if (element.tag === 0x1e) {
+    // BMPString: UTF-16BE
+    let text = '';
+    for (let index = 0; index + 1 < element.content.length; index += 2) {
+      text += String.fromCharCode((element.content[index] << 8) | element.content[index + 1]);
+    }
+    return text;
+  }
+  if (element.tag === 0x14) {
+    // T61String: treated as Latin-1
+    return String.fromCharCode(...element.content);
+  }
+  return new TextDecoder().decode(element.content);
+};
+
+// "CN=example, O=Example Corp" in certificate order
+const formatName = (name) => readChildren(name)
+  .flatMap(readChildren)
+  .map(attribute => {
+    const [type, value] = readChildren(attribute);
+    const oid = decodeOid(type.content);
+    return `${OID_NAMES[oid] || oid}=${decodeString(value)}`;
+  })
+  .join(', ');
+
+const decodeTime = (element) => {
+  const text = new TextDecoder().decode(element.content);
+  const match = element.tag === TAG.UTC_TIME
+    ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/.exec(text)
+    : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/.exec(text);
+  if (!match) {
+    throw new Error(`Malformed certificate: unsupported time "${text}"`);
+  }
+  let year = Number(match[1]);
+  if (element.tag === TAG.UTC_TIME) {
+    year += year < 50 ? 2000 : 1900; // RFC 5280 section 4.1.2.5.1
+  }
+  return new Date(Date.UTC(year, match[2] - 1, match[3], match[4], match[5], match[6]));
+};
+
+const toHexString = (bytes) => [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join(':');
+
+// Number of significant bits of a big-endian unsigned integer
+const bitLength = (bytes) => {
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start += 1;
+  return (bytes.length - start - 1) * 8 + (32 - Math.clz32(bytes[start]));
+};
+
+// Key type, label ("RSA 2048", "EC P-256") and WebCrypto import parameters of a SubjectPublicKeyInfo
+const describePublicKey = (spki) => {
+  const [algorithm, publicKey] = readChildren(spki);
+  const [oidElement, parameters] = readChildren(algorithm);
+  const oid = decodeOid(oidElement.content);
+  if (oid === KEY_OIDS.RSA) {
+    const [modulus] = readChildren(readElement(publicKey.content.subarray(1)));
+    const bits = bitLength(modulus.content);
+    return { kty: 'RSA', label: `RSA ${bits}`, bits };
+  }
+  if (oid === KEY_OIDS.EC) {
+    const curve = parameters && parameters.tag === TAG.OID ? CURVE_OIDS[decodeOid(parameters.content)] : undefined;
+    return { kty: 'EC', label: `EC ${curve || 'unknown curve'}`, curve };
+  }
+  if (oid === KEY_OIDS.Ed25519 || oid === KEY_OIDS.Ed448) {
+    const curve = oid === KEY_OIDS.Ed25519 ? 'Ed25519' : 'Ed448';
+    return { kty: 'OKP', label: curve, curve };
+  }
+  return { kty: null, label: `Unknown key (${oid})` };
+};
+
+// RSASSA-PSS parameters: hash and salt length, with the RFC 4055 defaults (SHA-1, 20)
+const readPssParameters = (parameters) => {
+  let hash = 'SHA-1';
+  let saltLength = 20;
+  if (parameters && parameters.tag === TAG.SEQUENCE) {
+    readChildren(parameters).forEach(field => {
+      const [inner] = readChildren(field);
+      if (field.tag === 0xa0) {
+        hash = HASH_OIDS[decodeOid(readChildren(inner)[0].content)] || hash;
+      } else if (field.tag === 0xa2) {
+        saltLength = [...inner.content].reduce((value, byte) => value * 256 + byte, 0);
+      }
+    });
+  }
+  return { hash, saltLength };
+};
+
+const describeSignatureAlgorithm = (algorithm) => {
+  const [oidElement, parameters] = readChildren(algorithm);
+  const oid = decodeOid(oidElement.content);
+  const known = SIGNATURE_ALGORITHMS[oid];
+  if (!known) return { name: oid, type: null };
+  return known.type === 'RSA-PSS' ? { ...known, ...readPssParameters(parameters) } : known;
+};
+
+// cA flag of the basic constraints extension; null when the extension is missing
+const readBasicConstraints = (tbsFields) => {
+  const extensions = tbsFields.find(field => field.tag === TAG.EXTENSIONS);
+  if (!extensions) return null;
+  const extension = readChildren(readChildren(extensions)[0])
+    .map(readChildren)
+    .find(([oid]) => decodeOid(oid.content) === BASIC_CONSTRAINTS_OID);
+  if (!extension) return null;
+  const value = extension[extension.length - 1];
+  const [first] = readChildren(readElement(value.content));
+  return Boolean(first && first.tag === TAG.BOOLEAN && first.content[0] !== 0);
+};
+
+const sameBytes = (a, b) => a.length === b.length && a.every((byte, index) => byte === b[index]);
+
+// Parse one DER certificate. Returns { der, version, serialNumber, subject, issuer, notBefore,
+// notAfter, publicKey: { kty, label, ... }, signatureAlgorithm, isCA, selfIssued } and the raw
+// parts used for signature checks. Throws on malformed input.
+export const parseCertificate = (der) => {
+  const certificate = expectTag(readElement(der), TAG.SEQUENCE, 'a certificate SEQUENCE');
+  const [tbs, signatureAlgorithm, signatureValue] = readChildren(certificate);
+  expectTag(tbs, TAG.SEQUENCE, 'tbsCertificate');
+  expectTag(signatureValue, TAG.BIT_STRING, 'signatureValue');
+
+  const fields = readChildren(tbs);
+  const hasVersion = fields[0].tag === 0xa0;
+  const [serial, , issuer, validity, subject, spki] = hasVersion ? fields.slice(1) : fields;
+  expectTag(serial, TAG.INTEGER, 'serialNumber');
+  expectTag(validity, TAG.SEQUENCE, 'validity');
+  expectTag(spki, TAG.SEQUENCE, 'subjectPublicKeyInfo');
+  const [notBefore, notAfter] = readChildren(validity);
+
+  return {
+    der,
+    version: hasVersion ? readChildren(fields[0])[0].content[0] + 1 : 1,
+    serialNumber: toHexString(serial.content),
+    subject: formatName(subject),
+    issuer: formatName(issuer),
+    notBefore: decodeTime(notBefore),
+    notAfter: decodeTime(notAfter),
+    publicKey: describePublicKey(spki),
+    signatureAlgorithm: describeSignatureAlgorithm(signatureAlgorithm),
+    isCA: readBasicConstraints(fields),
+    selfIssued: sameBytes(subject.raw, issuer.raw),
+    subjectDer: subject.raw,
+    issuerDer: issuer.raw,
+    spkiDer: spki.raw,
+    tbsDer: tbs.raw,
+    signature: signatureValue.content.subarray(1)
+  };
+};
+
+const decodeBase64 = (text) => Uint8Array.from(atob(text.replace(/\s+/g, '')), char => char.charCodeAt(0));
+
+// Parse the "x5c" header value; throws naming the entry that is not a certificate
+export const parseX5c = (x5c) => {
+  if (!Array.isArray(x5c) || x5c.length === 0) {
+    throw new Error('"x5c" must be a non-empty array of base64 DER certificates');
+  }
+  return x5c.map((entry, index) => {
+    try {
+      if (typeof entry !== 'string') {
+        throw new Error('not a string');
+      }
+      return parseCertificate(decodeBase64(entry));
+    } catch (error) {
+      throw new Error(`x5c certificate #${index + 1}: ${error.message}`);
+    }
+  });
+};
+
+// Every certificate in pasted PEM text (one or more "BEGIN CERTIFICATE" blocks)
+export const parsePemCertificates = (text) => {
+  const blocks = [...text.matchAll(/-----BEGIN CERTIFICATE-----([\s\S]*?)-----END CERTIFICATE-----/g)];
+  if (blocks.length === 0) {
+    throw new Error('No "-----BEGIN CERTIFICATE-----" block found');
+  }
+  return blocks.map((block, index) => {
+    try {
+      return parseCertificate(decodeBase64(block[1]));
+    } catch (error) {
+      throw new Error(`Trust anchor #${index + 1}: ${error.message}`);
+    }
+  });
+};
+
+// PEM of an x5c entry, usable wherever a public key or certificate PEM is accepted
+export const certificateToPem = (base64) => {
+  const body = base64.replace(/\s+/g, '').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN CERTIFICATE-----\n${body}\n-----END CERTIFICATE-----`;
+};
+
+// PEM of the leaf certificate in a header's "x5c", or '' when there is none
+export const leafCertificatePem = (header) => (
+  Array.isArray(header?.x5c) && typeof header.x5c[0] === 'string' ? certificateToPem(header.x5c[0]) : ''
+);
+
+// "x5t" (SHA-1) and "x5t#S256" (SHA-256) thumbprints of the header against the leaf certificate.
+// Resolves to [{ name, expected, actual, match }] for the thumbprints the header has.
+export const checkThumbprints = async (header, leaf) => {
+  const checks = [['x5t', 'SHA-1'], ['x5t#S256', 'SHA-256']].filter(([name]) => header[name] !== undefined);
+  return Promise.all(checks.map(async ([name, hash]) => {
+    const actual = base64url.encode(new Uint8Array(await crypto.subtle.digest(hash, leaf.der)));
+    return { name, expected: header[name], actual, match: header[name] === actual };
+  }));
+};
+
+// ECDSA signatures are DER SEQUENCE { r, s } in certificates but r || s in WebCrypto
+const ecdsaSignatureToRaw = (signature, curve) => {
+  const size = { 'P-256': 32, 'P-384': 48, 'P-521': 66 }[curve];
+  const raw = new Uint8Array(size * 2);
+  readChildren(readElement(signature)).forEach((integer, index) => {
+    const bytes = integer.content.subarray(Math.max(0, integer.content.length - size));
+    raw.set(bytes, size * (index + 1) - bytes.length);
+  });
+  return raw;
+};
+
+// Whether `certificate` was signed by the key of `issuer`. Throws when the algorithm is not supported.
+export const verifyCertificateSignature = async (certificate, issuer) => {
+  const algorithm = certificate.signatureAlgorithm;
+  const { curve } = issuer.publicKey;
+  let importParams;
+  let verifyParams;
+  let signature = certificate.signature;
+  if (algorithm.type === 'RSASSA-PKCS1-v1_5') {
+    importParams = { name: algorithm.type, hash: algorithm.hash };
+    verifyParams = { name: algorithm.type };
+  } else if (algorithm.type === 'RSA-PSS') {
+    importParams = { name: algorithm.type, hash: algorithm.hash };
+    verifyParams = { name: algorithm.type, saltLength: algorithm.saltLength };
+  } else if (algorithm.type === 'ECDSA' && curve) {
+    importParams = { name: 'ECDSA', namedCurve: curve };
+    verifyParams = { name: 'ECDSA', hash: algorithm.hash };
+    signature = ecdsaSignatureToRaw(signature, curve);
+  } else if (algorithm.type === 'Ed25519') {
+    importParams = { name: 'Ed25519' };
+    verifyParams = { name: 'Ed25519' };
+  } else {
+    throw new Error(`Unsupported certificate signature algorithm ${algorithm.name}`);
+  }
+  const key = await crypto.subtle.importKey('spki', issuer.spkiDer, importParams, false, ['verify']);
+  return crypto.subtle.verify(verifyParams, key, signature, certificate.tbsDer);
+};
+
+const describeCertificate = (certificate, index) => `#${index + 1} (${certificate.subject || 'no subject'})`;
+
+// Check the chain: validity at `now`, each certificate issued and signed by the next one, issuers
+// marked as CAs, and the last certificate being or chaining to one of the trust anchors.
+// Resolves to { trusted, anchor, issues } with issues as { severity: 'error' | 'warning', message }.
+export const validateChain = async (certificates, anchors, { now = new Date() } = {}) => {
+  const issues = [];
+  const error = (message) => issues.push({ severity: 'error', message });
+
+  certificates.forEach((certificate, index) => {
+    if (now < certificate.notBefore) {
+      error(`Certificate ${describeCertificate(certificate, index)} is not valid until ${certificate.notBefore.toISOString()}`);
+    } else if (now > certificate.notAfter) {
+      error(`Certificate ${describeCertificate(certificate, index)} expired on ${certificate.notAfter.toISOString()}`);
+    }
+  });
+
+  const checkIssued = async (certificate, index, issuer, issuerLabel) => {
+    if (!sameBytes(certificate.issuerDer, issuer.subjectDer)) {
+      error(`Certificate ${describeCertificate(certificate, index)} names issuer "${certificate.issuer}", not ${issuerLabel}`);
+      return false;
+    }
+    try {
+      if (!(await verifyCertificateSignature(certificate, issuer))) {
+        error(`The signature of certificate ${describeCertificate(certificate, index)} does not verify with the key of ${issuerLabel}`);
+        return false;
+      }
+    } catch (verifyError) {
+      error(`Certificate ${describeCertificate(certificate, index)}: ${verifyError.message}`);
+      return false;
+    }
+    if (issuer.isCA === false) {
+      error(`${issuerLabel} is not a CA certificate (basic constraints cA is false)`);
+    } else if (issuer.isCA === null) {
+      issues.push({ severity: 'warning', message: `${issuerLabel} has no basic constraints extension` });
+    }
+    return true;
+  };
+
+  for (let index = 0; index < certificates.length - 1; index += 1) {
+    await checkIssued(certificates[index], index, certificates[index + 1], `certificate ${describeCertificate(certificates[index + 1], index + 1)}`);
+  }
+
+  const last = certificates[certificates.length - 1];
+  let anchor = anchors.find(candidate => sameBytes(candidate.der, last.der)) || null;
+  if (!anchor) {
+    const issuers = anchors.filter(candidate => sameBytes(candidate.subjectDer, last.issuerDer));
+    for (const candidate of issuers) {
+      if (await checkIssued(last, certificates.length - 1, candidate, `trust anchor "${candidate.subject}"`)) {
+        anchor = candidate;
+        break;
+      }
+    }
+    if (issuers.length === 0) {
+      error(`The chain ends at "${last.issuer}", which is none of the trust anchors`);
+    }
+  }
+  if (anchor && now > anchor.notAfter) {
+    issues.push({ severity: 'warning', message: `Trust anchor "${anchor.subject}" expired on ${anchor.notAfter.toISOString()}` });
+  }
+
+  return {
+    trusted: Boolean(anchor) && !issues.some(issue => issue.severity === 'error'),
+    anchor,
+    issues
+  };
+};
+
+// Everything the header panel shows for a header with "x5c" / "x5t" / "x5t#S256".
+// Resolves to { certificates, thumbprints, chain, error } - never throws. chain is null until
+// trust anchors are given; error explains a chain or anchor that could not be parsed.
+export const inspectX5c = async (header, { trustAnchors = '', now = new Date() } = {}) => {
+  const result = { certificates: [], thumbprints: [], chain: null, error: null };
+  if (header.x5c === undefined) {
+    result.error = header.x5t !== undefined || header['x5t#S256'] !== undefined
+      ? 'The header has a certificate thumbprint but no "x5c" chain to compare it with'
+      : null;
+    return result;
+  }
+  try {
+    result.certificates = parseX5c(header.x5c);
+    result.thumbprints = await checkThumbprints(header, result.certificates[0]);
+    if (trustAnchors.trim()) {
+      result.chain = await validateChain(result.certificates, parsePemCertificates(trustAnchors), { now });
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+  return result;
+};
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignJWT } from 'jose';
+import { handleApiRequest } from '../workers-site/api.js';
+
+const secret = 'a-string-secret-at-least-256-bits-long';
+
+const post = async (path, body) => {
+  const response = await handleApiRequest(new Request(`https://jwt.example${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }));
+  return { status: response.status, body: await response.json() };
+};
+
+const signedToken = () => new SignJWT({ sub: '1', aud: ['api', 'web'] })
+  .setProtectedHeader({ alg: 'HS256' })
+  .setIssuedAt()
+  .setExpirationTime('1h')
+  .sign(new TextEncoder().encode(secret));
+
+const claim = (body, id) => body.claims.find(check => check.id === id);
+
+test('/api/verify accepts allowedAlgorithms as an array', async () => {
+  const { status, body } = await post('/api/verify', { token: await signedToken(), secret, expected: { allowedAlgorithms: ['RS256', 'HS256'] } });
+  assert.equal(status, 200);
+  assert.equal(claim(body, 'alg').status, 'pass');
+  assert.equal(body.valid, true);
+});
+
+test('/api/verify accepts audience as an array of accepted audiences', async () => {
+  const token = await signedToken();
+  const accepted = await post('/api/verify', { token, secret, expected: { audience: ['other', 'web'] } });
+  assert.equal(claim(accepted.body, 'aud').status, 'pass');
+  const rejected = await post('/api/verify', { token, secret, expected: { audience: ['other', 'admin'] } });
+  assert.equal(claim(rejected.body, 'aud').status, 'fail');
+  assert.match(claim(rejected.body, 'aud').message, /"other" or "admin"/);
+});
+
+test('/api/verify rejects expected values of the wrong type', async () => {
+  const token = await signedToken();
+  for (const expected of [[], 'HS256', { allowedAlgorithms: 256 }, { audience: ['api', 1] }, { issuer: ['a'] }, { clockSkew: '60' }]) {
+    const { status, body } = await post('/api/verify', { token, secret, expected });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'invalid_request');
+  }
+});
+
+// A chunked body without Content-Length that never ends; counts the bytes handed out
+const endlessBody = () => {
+  const stream = { sent: 0 };
+  stream.body = new ReadableStream({
+    pull(controller) {
+      stream.sent += 1024;
+      controller.enqueue(new Uint8Array(1024).fill(0x20));
+    }
+  });
+  return stream;
+};
+
+test('an oversized chunked body is rejected without reading all of it', async () => {
+  const stream = endlessBody();
+  const response = await handleApiRequest(new Request('https://jwt.example/api/decode', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: stream.body,
+    duplex: 'half'
+  }));
+  assert.equal(response.status, 413);
+  assert.equal((await response.json()).error.code, 'payload_too_large');
+  assert.ok(stream.sent <= 128 * 1024);
+});
+
+test('a declared Content-Length above the limit is rejected', async () => {
+  const response = await handleApiRequest(new Request('https://jwt.example/api/decode', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': String(65 * 1024) },
+    body: '{}'
+  }));
+  assert.equal(response.status, 413);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addHistoryEntry, importHistory } from '../src/lib/history.js';
+
+const entry = (token) => ({ token, header: { alg: 'HS256' }, payload: {} });
+
+test('entries added in the same millisecond get distinct ids', () => {
+  let history = [];
+  ['a.b.c', 'd.e.f', 'g.h.i'].forEach(token => {
+    history = addHistoryEntry(history, entry(token), 50);
+  });
+  assert.equal(new Set(history.map(item => item.id)).size, 3);
+});
+
+test('importing entries with duplicate ids gives them fresh ids', () => {
+  const history = addHistoryEntry([], entry('a.b.c'), 50);
+  const file = JSON.stringify({ entries: [
+    { ...entry('d.e.f'), id: history[0].id },
+    { ...entry('g.h.i'), id: 7 },
+    { ...entry('j.k.l'), id: 7 }
+  ] });
+  const merged = importHistory(history, file, 50);
+  assert.equal(merged.length, 4);
+  assert.equal(new Set(merged.map(item => item.id)).size, 4);
+  assert.equal(merged.find(item => item.token === 'a.b.c').id, history[0].id);
+});
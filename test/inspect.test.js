@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { base64url } from 'jose';
+import { inspectToken, repairToken } from '../src/lib/inspect.js';
+
+const encodeJson = (value) => base64url.encode(JSON.stringify(value));
+
+const payloadSegment = (token) => inspectToken(token).segments.find(segment => segment.name === 'payload');
+
+test('a detached payload is reported as info, not as an encoding error', () => {
+  const segment = payloadSegment(`${encodeJson({ alg: 'HS256' })}..c2ln`);
+  assert.deepEqual(segment.issues.map(issue => issue.severity), ['info']);
+  assert.match(segment.issues[0].message, /^Detached payload/);
+});
+
+test('an unencoded payload is reported as info and left alone by the repair', () => {
+  const token = `${encodeJson({ alg: 'HS256', b64: false, crit: ['b64'] })}.{"amount":"$2 + tax/vat=ok"}.c2ln`;
+  const segment = payloadSegment(token);
+  assert.deepEqual(segment.issues.map(issue => issue.severity), ['info']);
+  assert.equal(segment.text, '{"amount":"$2 + tax/vat=ok"}');
+  assert.equal(repairToken(token), token);
+});
+
+test('an encoded payload is still checked as base64url JSON', () => {
+  const segment = payloadSegment(`${encodeJson({ alg: 'HS256' })}.e30=.c2ln`);
+  assert.ok(segment.issues.some(issue => issue.severity === 'error'));
+});
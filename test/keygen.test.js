@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyMaterial } from '../src/lib/keygen.js';
+
+test('HMAC keys have no public JWKS', async () => {
+  const material = await generateKeyMaterial('HS256');
+  assert.equal(material.jwks, null);
+  assert.equal(material.publicJwk, null);
+  assert.equal(material.privateJwk.kty, 'oct');
+});
+
+test('the JWKS of a key pair holds only the public key', async () => {
+  const material = await generateKeyMaterial('ES256');
+  assert.equal(material.jwks.keys.length, 1);
+  assert.equal(material.jwks.keys[0].d, undefined);
+  assert.equal(material.jwks.keys[0].kid, material.kid);
+});
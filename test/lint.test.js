@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintToken } from '../src/lib/lint.js';
+
+const now = 1700000000;
+
+test('lintToken reports a detached payload instead of reading its claims', () => {
+  const findings = lintToken({ alg: 'RS256', b64: false, crit: ['b64'] }, null, {}, now);
+  assert.deepEqual(findings.filter(finding => finding.target === 'payload').map(finding => finding.id), ['detached-payload']);
+});
+
+test('lintToken checks the claims of an attached payload', () => {
+  const findings = lintToken({ alg: 'RS256' }, { sub: '1', password: 'x' }, {}, now);
+  assert.ok(findings.some(finding => finding.claim === 'password'));
+  assert.ok(!findings.some(finding => finding.id === 'detached-payload'));
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleOidcRequest } from '../workers-site/oidc.js';
+
+globalThis.MOCK_OIDC_CLIENTS = JSON.stringify({ app: { secret: 's3cret' } });
+
+const requestToken = async ({ authorization, contentType = 'application/x-www-form-urlencoded', body = 'grant_type=client_credentials' }) => {
+  const headers = { 'Content-Type': contentType };
+  if (authorization) headers.Authorization = authorization;
+  const response = await handleOidcRequest(new Request('https://issuer.example/token', { method: 'POST', headers, body }));
+  return { status: response.status, body: await response.json() };
+};
+
+test('Basic credentials that are not base64 are rejected as invalid_client', async () => {
+  const { status, body } = await requestToken({ authorization: 'Basic %%%' });
+  assert.equal(status, 401);
+  assert.equal(body.error, 'invalid_client');
+});
+
+test('Basic credentials without a colon are rejected as invalid_client', async () => {
+  const { status, body } = await requestToken({ authorization: `Basic ${btoa('appx')}` });
+  assert.equal(status, 401);
+  assert.equal(body.error, 'invalid_client');
+});
+
+test('valid Basic credentials get a token', async () => {
+  const { status, body } = await requestToken({ authorization: `Basic ${btoa('app:s3cret')}` });
+  assert.equal(status, 200);
+  assert.equal(body.token_type, 'Bearer');
+});
+
+test('a JSON body must be an object', async () => {
+  for (const json of ['null', '[]', '"x"']) {
+    const { status, body } = await requestToken({ contentType: 'application/json', body: json });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'invalid_request');
+    assert.equal(body.error_description, 'Request body must be a JSON object');
+  }
+});
+
+test('client ids named like Object.prototype members are unknown clients', async () => {
+  for (const clientId of ['constructor', 'toString', '__proto__']) {
+    const { status, body } = await requestToken({ body: `grant_type=client_credentials&client_id=${clientId}` });
+    assert.equal(status, 401);
+    assert.equal(body.error, 'invalid_client');
+  }
+});
+
+test('usernames named like Object.prototype members are unknown users', async () => {
+  globalThis.MOCK_OIDC_USERS = JSON.stringify({ alice: { password: 'pw' } });
+  try {
+    for (const username of ['constructor', 'toString']) {
+      const { status, body } = await requestToken({
+        authorization: `Basic ${btoa('app:s3cret')}`,
+        body: `grant_type=password&username=${username}&password=x`
+      });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'invalid_grant');
+    }
+  } finally {
+    delete globalThis.MOCK_OIDC_USERS;
+  }
+});
+
+test('an oversized chunked token request is rejected without reading all of it', async () => {
+  let sent = 0;
+  const body = new ReadableStream({
+    pull(controller) {
+      sent += 1024;
+      controller.enqueue(new TextEncoder().encode('a'.repeat(1024)));
+    }
+  });
+  const response = await handleOidcRequest(new Request('https://issuer.example/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body,
+    duplex: 'half'
+  }));
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error_description, /must not exceed/);
+  assert.ok(sent <= 64 * 1024);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyJsonPatch, applyMergePatch } from '../src/lib/patch.js';
+
+test('JSON Patch cannot write through __proto__', () => {
+  assert.throws(
+    () => applyJsonPatch({}, [{ op: 'add', path: '/__proto__/polluted', value: 1 }]),
+    /"__proto__" is not allowed/
+  );
+  assert.equal({}.polluted, undefined);
+});
+
+test('JSON Patch rejects constructor and prototype segments', () => {
+  assert.throws(() => applyJsonPatch({}, [{ op: 'add', path: '/constructor/prototype/polluted', value: 1 }]));
+  assert.equal({}.polluted, undefined);
+});
+
+test('JSON Patch remove fails for inherited members', () => {
+  assert.throws(
+    () => applyJsonPatch({ sub: '1' }, [{ op: 'remove', path: '/toString' }]),
+    /Path \/toString does not exist/
+  );
+});
+
+test('JSON Patch replace and test only see own members', () => {
+  assert.throws(() => applyJsonPatch({}, [{ op: 'replace', path: '/hasOwnProperty', value: 1 }]));
+  assert.throws(() => applyJsonPatch({}, [{ op: 'test', path: '/valueOf', value: null }]));
+});
+
+test('JSON Patch still edits own members', () => {
+  const result = applyJsonPatch({ sub: '1', roles: ['a'] }, [
+    { op: 'add', path: '/roles/-', value: 'b' },
+    { op: 'remove', path: '/sub' }
+  ]);
+  assert.deepEqual(result, { roles: ['a', 'b'] });
+});
+
+test('Merge Patch rejects __proto__ members', () => {
+  assert.throws(() => applyMergePatch({}, JSON.parse('{"__proto__": {"polluted": 1}}')));
+  assert.equal({}.polluted, undefined);
+});
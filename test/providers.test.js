@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeClaim, getClaimDictionary, getDictionaryBadges, findForeignClaims } from '../src/lib/providers.js';
+
+const keycloak = getClaimDictionary('keycloak');
+
+test('claims named like Object.prototype members are not known claims', () => {
+  for (const name of ['constructor', 'toString', '__proto__']) {
+    assert.equal(describeClaim(name, keycloak), null);
+    assert.equal(describeClaim(name, null), null);
+  }
+});
+
+test('known claims are still described', () => {
+  assert.equal(describeClaim('realm_access', keycloak).label, 'Realm Roles');
+  assert.equal(describeClaim('sub', keycloak).label, 'sub');
+});
+
+test('badges only count claims the payload itself has', () => {
+  const badges = getDictionaryBadges(keycloak, Object.create({ typ: 'Bearer' }));
+  assert.ok(!badges.some(badge => badge.key === 'typ'));
+});
+
+test('foreign claim detection looks at own dictionary members only', () => {
+  const payload = JSON.parse('{"iss":"https://kc/realms/a","constructor":1,"scp":"read"}');
+  const foreign = findForeignClaims(payload, keycloak);
+  assert.deepEqual(foreign.map(item => item.claim), ['scp']);
+});
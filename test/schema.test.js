@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema } from '../src/lib/schema.js';
+
+test('additionalProperties: false rejects claims named like Object.prototype members', () => {
+  const schema = { type: 'object', properties: { sub: { type: 'string' } }, additionalProperties: false };
+  const errors = validateSchema(schema, JSON.parse('{"sub":"1","constructor":1,"toString":2}'));
+  assert.deepEqual(errors.map(error => error.path), [['constructor'], ['toString']]);
+});
+
+test('required is not satisfied by inherited members', () => {
+  const errors = validateSchema({ required: ['hasOwnProperty'] }, {});
+  assert.deepEqual(errors, [{ path: ['hasOwnProperty'], message: 'is required' }]);
+});
+
+test('a $ref that loops is reported instead of overflowing the stack', () => {
+  assert.equal(validateSchema({ $ref: '#' }, {}).length, 1);
+  assert.equal(validateSchema({ anyOf: [{ $ref: '#' }] }, {}).length, 1);
+  assert.equal(validateSchema({ $defs: { a: { $ref: '#/$defs/b' }, b: { $ref: '#/$defs/a' } }, $ref: '#/$defs/a' }, {}).length, 1);
+});
+
+test('recursive schemas still check nested values', () => {
+  const schema = { type: 'object', properties: { child: { $ref: '#' }, name: { type: 'string' } } };
+  assert.deepEqual(validateSchema(schema, { child: { child: { name: 1 } } }), [
+    { path: ['child', 'child', 'name'], message: 'must be string, got integer' }
+  ]);
+});
+
+test('an unresolvable $ref is reported as a violation', () => {
+  const errors = validateSchema({ $ref: '#/$defs/missing' }, {});
+  assert.deepEqual(errors, [{ path: [], message: 'cannot be checked: Cannot resolve $ref "#/$defs/missing"' }]);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { base64url } from 'jose';
+import { buildShareState, encodeShareFragment, decodeShareFragment, SHARE_FRAGMENT_PREFIX } from '../src/lib/share.js';
+
+const plainFragment = (state) => `${SHARE_FRAGMENT_PREFIX}j.${base64url.encode(JSON.stringify(state))}`;
+
+test('a share link round-trips', async () => {
+  const state = buildShareState({ mode: 'token', token: 'a.b.c', key: { secret: 'c2VjcmV0', encoding: 'base64' } });
+  assert.deepEqual(await decodeShareFragment(await encodeShareFragment(state)), state);
+});
+
+test('share links with a malformed state are rejected', async () => {
+  const malformed = [
+    null,
+    [],
+    { v: 1, token: 42 },
+    { v: 1, header: 'x', payload: {} },
+    { v: 1, token: 'a.b.c', key: 'secret' },
+    { v: 1, token: 'a.b.c', key: { secret: 1 } },
+    { v: 1, token: 'a.b.c', key: { secret: '%%%', encoding: 'base64' } },
+    { v: 1, token: 'a.b.c', key: { publicKey: {} } }
+  ];
+  for (const state of malformed) {
+    await assert.rejects(decodeShareFragment(plainFragment(state)), /Share link/);
+  }
+  await assert.rejects(decodeShareFragment(`${SHARE_FRAGMENT_PREFIX}j.${base64url.encode('{')}`), /Share link is corrupted/);
+});
@@ -0,0 +1,214 @@
+import { decodeToken } from '../src/lib/decode.js';
+import { decodeSecret } from '../src/lib/verify.js';
+import { verifyAndValidate } from '../src/lib/token.js';
+import { isCompactJwe } from '../src/lib/jwe.js';
+
+// Request bodies above this size are rejected with 413
+const MAX_BODY_BYTES = 64 * 1024;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Max-Age': '86400',
+};
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export const jsonResponse = (body, status = 200, extraHeaders = {}) => new Response(JSON.stringify(body, null, 2), {
+  status,
+  headers: {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    ...CORS_HEADERS,
+    ...extraHeaders,
+  },
+});
+
+const errorResponse = (error) => jsonResponse(
+  { error: { code: error.code, message: error.message } },
+  error.status,
+  error.status === 405 ? { Allow: 'POST, OPTIONS' } : {}
+);
+
+// Body text, reading at most `maxBytes`. Resolves to null as soon as the declared or actual
+// size is larger, without buffering the rest (Content-Length is absent for chunked bodies).
+export const readBodyText = async (request, maxBytes) => {
+  const declaredLength = parseInt(request.headers.get('Content-Length') || '0');
+  if (declaredLength > maxBytes) {
+    return null;
+  }
+  if (!request.body) {
+    return '';
+  }
+
+  const reader = request.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return new TextDecoder().decode(bytes);
+};
+
+// Read and parse a JSON body, enforcing content type and size limit
+const readJsonBody = async (request) => {
+  const contentType = request.headers.get('Content-Type') || '';
+  if (!contentType.includes('application/json')) {
+    throw new ApiError(415, 'unsupported_media_type', 'Content-Type must be application/json');
+  }
+
+  const text = await readBodyText(request, MAX_BODY_BYTES);
+  if (text === null) {
+    throw new ApiError(413, 'payload_too_large', `Request body must not exceed ${MAX_BODY_BYTES} bytes`);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new ApiError(400, 'invalid_json', 'Request body is not valid JSON: ' + error.message);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'invalid_request', 'Request body must be a JSON object');
+  }
+  return body;
+};
+
+const requireToken = (body) => {
+  if (typeof body.token !== 'string' || body.token.trim() === '') {
+    throw new ApiError(400, 'missing_token', '"token" must be a non-empty string');
+  }
+  return body.token.trim();
+};
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// body.expected -> validateClaims options. issuer, subject and type are strings, audience and
+// allowedAlgorithms a string or a list of strings, clockSkew a number of seconds.
+const readExpected = (body) => {
+  if (body.expected === undefined || body.expected === null) {
+    return {};
+  }
+  const expected = body.expected;
+  if (typeof expected !== 'object' || Array.isArray(expected)) {
+    throw new ApiError(400, 'invalid_request', '"expected" must be a JSON object');
+  }
+  const options = {};
+  ['issuer', 'subject', 'type'].forEach(name => {
+    if (expected[name] === undefined) return;
+    if (typeof expected[name] !== 'string') {
+      throw new ApiError(400, 'invalid_request', `"expected.${name}" must be a string`);
+    }
+    options[name] = expected[name];
+  });
+  ['audience', 'allowedAlgorithms'].forEach(name => {
+    if (expected[name] === undefined) return;
+    if (typeof expected[name] !== 'string' && !isStringList(expected[name])) {
+      throw new ApiError(400, 'invalid_request', `"expected.${name}" must be a string or an array of strings`);
+    }
+    options[name] = expected[name];
+  });
+  // validateClaims reads allowedAlgorithms as a "HS256, RS256" list
+  if (Array.isArray(options.allowedAlgorithms)) {
+    options.allowedAlgorithms = options.allowedAlgorithms.join(', ');
+  }
+  if (expected.clockSkew !== undefined) {
+    if (typeof expected.clockSkew !== 'number' || !Number.isFinite(expected.clockSkew) || expected.clockSkew < 0) {
+      throw new ApiError(400, 'invalid_request', '"expected.clockSkew" must be a non-negative number of seconds');
+    }
+    options.clockSkew = expected.clockSkew;
+  }
+  return options;
+};
+
+// POST /api/decode { token }
+const handleDecode = async (request) => {
+  const token = requireToken(await readJsonBody(request));
+  try {
+    return jsonResponse(decodeToken(token));
+  } catch (error) {
+    throw new ApiError(400, 'invalid_token', error.message);
+  }
+};
+
+// POST /api/verify { token, secret?, secretEncoding?, key?, jwks?, detachedPayload?, expected? }
+const handleVerify = async (request) => {
+  const body = await readJsonBody(request);
+  const token = requireToken(body);
+
+  if (isCompactJwe(token)) {
+    throw new ApiError(400, 'invalid_token', 'Encrypted tokens (JWE) cannot be verified by this endpoint');
+  }
+  if (body.secret === undefined && body.key === undefined && body.jwks === undefined) {
+    throw new ApiError(400, 'missing_key', 'Provide one of "secret", "key" (PEM or JWK) or "jwks"');
+  }
+
+  let secretBytes = null;
+  if (body.secret !== undefined) {
+    try {
+      secretBytes = decodeSecret(String(body.secret), body.secretEncoding === 'base64' ? 'base64' : 'text');
+    } catch (error) {
+      throw new ApiError(400, 'invalid_secret', error.message);
+    }
+  }
+  const keyText = typeof body.key === 'object' && body.key !== null ? JSON.stringify(body.key) : body.key || '';
+  const jwksText = typeof body.jwks === 'object' && body.jwks !== null ? JSON.stringify(body.jwks) : body.jwks || '';
+
+  const detachedPayload = typeof body.detachedPayload === 'string' ? body.detachedPayload : null;
+  const expected = readExpected(body);
+
+  try {
+    return jsonResponse(await verifyAndValidate(token, { secretBytes, keyText, jwksText, detachedPayload }, expected));
+  } catch (error) {
+    throw new ApiError(400, 'invalid_token', error.message);
+  }
+};
+
+const ROUTES = {
+  '/api/decode': handleDecode,
+  '/api/verify': handleVerify,
+};
+
+// Entry point for every /api/* request
+export async function handleApiRequest(request) {
+  const { pathname } = new URL(request.url);
+
+  try {
+    const handler = ROUTES[pathname];
+    if (!handler) {
+      throw new ApiError(404, 'not_found', `No API endpoint at ${pathname}`);
+    }
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers: CORS_HEADERS });
+    }
+    if (request.method !== 'POST') {
+      throw new ApiError(405, 'method_not_allowed', `${request.method} is not allowed, use POST`);
+    }
+    return await handler(request);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return errorResponse(error);
+    }
+    return errorResponse(new ApiError(500, 'internal_error', error.message));
+  }
+}
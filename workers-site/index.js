@@ -1,10 +1,21 @@
 import { getAssetFromKV } from '@cloudflare/kv-asset-handler';
+import { handleApiRequest } from './api.js';
+import { handleOidcRequest, isOidcEnabled, isOidcPath } from './oidc.js';
 
 addEventListener('fetch', event => {
   event.respondWith(handleEvent(event));
 });
 
 async function handleEvent(event) {
+  // Machine endpoints; everything else is served from KV
+  const { pathname } = new URL(event.request.url);
+  if (pathname.startsWith('/api/')) {
+    return handleApiRequest(event.request);
+  }
+  if (isOidcEnabled() && isOidcPath(pathname)) {
+    return handleOidcRequest(event.request);
+  }
+
   try {
     const response = await getAssetFromKV(event, {
       cacheControl: {
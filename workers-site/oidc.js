@@ -0,0 +1,278 @@
+import { SignJWT, calculateJwkThumbprint } from 'jose';
+import { isAsymmetricAlgorithm, importPrivateKey, exportPublicJwk } from '../src/lib/keys.js';
+import { generateKeyMaterial } from '../src/lib/keygen.js';
+import { jsonResponse, readBodyText } from './api.js';
+
+// Mock OpenID Connect issuer for local integration tests.
+// Disabled unless MOCK_OIDC_ENABLED = "true" (e.g. in .dev.vars for `wrangler dev`).
+
+const OIDC_PATHS = ['/.well-known/openid-configuration', '/.well-known/jwks.json', '/token'];
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+const GRANT_TYPES = ['client_credentials', 'password'];
+
+// Worker vars are globals in the service-worker format
+const readVar = (name, fallback = undefined) => (globalThis[name] !== undefined ? globalThis[name] : fallback);
+
+const readJsonVar = (name, fallback) => {
+  const value = readVar(name);
+  if (value === undefined || value === '') return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+};
+
+export const isOidcEnabled = () => String(readVar('MOCK_OIDC_ENABLED', '')).toLowerCase() === 'true';
+
+export const isOidcPath = (pathname) => OIDC_PATHS.includes(pathname);
+
+const getConfig = (request) => ({
+  issuer: readVar('MOCK_OIDC_ISSUER') || new URL(request.url).origin,
+  alg: readVar('MOCK_OIDC_ALG', 'RS256'),
+  tokenTtl: parseInt(readVar('MOCK_OIDC_TOKEN_TTL', '3600')),
+  audience: readVar('MOCK_OIDC_AUDIENCE', ''),
+  claims: readJsonVar('MOCK_OIDC_CLAIMS', {}),
+  // { client_id: { secret, claims?, scope? } } - any client is accepted when unset
+  clients: readJsonVar('MOCK_OIDC_CLIENTS', null),
+  // { username: { password, claims? } } - any username/password is accepted when unset
+  users: readJsonVar('MOCK_OIDC_USERS', null),
+});
+
+// Signing key shared by every request in this isolate
+let signingKeyPromise = null;
+
+// Configured key (MOCK_OIDC_SIGNING_KEY, PKCS#8 PEM or private JWK) or an ephemeral generated one
+const getSigningKey = (alg) => {
+  if (!signingKeyPromise) {
+    signingKeyPromise = (async () => {
+      if (!isAsymmetricAlgorithm(alg)) {
+        throw new Error(`MOCK_OIDC_ALG must be an asymmetric algorithm, got ${alg}`);
+      }
+      const configuredKey = readVar('MOCK_OIDC_SIGNING_KEY');
+      if (configuredKey) {
+        const keyText = typeof configuredKey === 'object' ? JSON.stringify(configuredKey) : configuredKey;
+        const publicJwk = await exportPublicJwk(keyText, alg);
+        const kid = publicJwk.kid || await calculateJwkThumbprint(publicJwk, 'sha256');
+        return {
+          privateKey: await importPrivateKey(keyText, alg),
+          publicJwk: { ...publicJwk, kid, alg, use: 'sig' },
+        };
+      }
+      const material = await generateKeyMaterial(alg);
+      return {
+        privateKey: await importPrivateKey(material.privatePem, alg),
+        publicJwk: material.publicJwk,
+      };
+    })();
+    // Allow a retry after a configuration error
+    signingKeyPromise.catch(() => {
+      signingKeyPromise = null;
+    });
+  }
+  return signingKeyPromise;
+};
+
+// OAuth 2.0 error response (RFC 6749 section 5.2)
+const oauthError = (status, error, description) => jsonResponse(
+  { error, error_description: description },
+  status,
+  status === 401 ? { 'WWW-Authenticate': 'Basic realm="mock-oidc"' } : {}
+);
+
+const handleDiscovery = (config) => jsonResponse({
+  issuer: config.issuer,
+  token_endpoint: `${config.issuer}/token`,
+  jwks_uri: `${config.issuer}/.well-known/jwks.json`,
+  grant_types_supported: GRANT_TYPES,
+  response_types_supported: ['token'],
+  subject_types_supported: ['public'],
+  id_token_signing_alg_values_supported: [config.alg],
+  token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+  scopes_supported: ['openid', 'profile', 'email'],
+  claims_supported: ['iss', 'sub', 'aud', 'exp', 'iat', 'nbf', 'jti', 'scope', 'client_id'],
+});
+
+const handleJwks = async (config) => {
+  const { publicJwk } = await getSigningKey(config.alg);
+  return jsonResponse({ keys: [publicJwk] });
+};
+
+// Token requests are form-encoded per RFC 6749; JSON bodies are accepted for convenience
+const readTokenParams = async (request) => {
+  const text = await readBodyText(request, MAX_BODY_BYTES);
+  if (text === null) {
+    throw new Error(`Request body must not exceed ${MAX_BODY_BYTES} bytes`);
+  }
+  const contentType = request.headers.get('Content-Type') || '';
+  if (contentType.includes('application/json')) {
+    const body = JSON.parse(text);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error('Request body must be a JSON object');
+    }
+    return Object.fromEntries(Object.entries(body).map(([key, value]) => [
+      key,
+      typeof value === 'object' ? JSON.stringify(value) : String(value),
+    ]));
+  }
+  return Object.fromEntries(new URLSearchParams(text));
+};
+
+// Client credentials from HTTP Basic auth or the request body.
+// Throws when the Basic credentials are not base64 of "client_id:client_secret".
+const readClientCredentials = (request, params) => {
+  const authorization = request.headers.get('Authorization') || '';
+  if (authorization.startsWith('Basic ')) {
+    let decoded;
+    try {
+      decoded = atob(authorization.slice(6).trim());
+    } catch (error) {
+      throw new Error('Basic credentials are not valid base64');
+    }
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+      throw new Error('Basic credentials must be "client_id:client_secret"');
+    }
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+      };
+    } catch (error) {
+      throw new Error('Basic credentials are not valid form-urlencoded text');
+    }
+  }
+  return { clientId: params.client_id, clientSecret: params.client_secret };
+};
+
+const handleToken = async (request, config) => {
+  if (request.method !== 'POST') {
+    return oauthError(405, 'invalid_request', 'Token endpoint only accepts POST');
+  }
+
+  let params;
+  try {
+    params = await readTokenParams(request);
+  } catch (error) {
+    return oauthError(400, 'invalid_request', error.message);
+  }
+
+  if (!GRANT_TYPES.includes(params.grant_type)) {
+    return oauthError(400, 'unsupported_grant_type', `grant_type must be one of ${GRANT_TYPES.join(', ')}`);
+  }
+
+  let clientId;
+  let clientSecret;
+  try {
+    ({ clientId, clientSecret } = readClientCredentials(request, params));
+  } catch (error) {
+    return oauthError(401, 'invalid_client', error.message);
+  }
+  if (!clientId) {
+    return oauthError(401, 'invalid_client', 'Client authentication is required');
+  }
+  const client = config.clients ? (Object.hasOwn(config.clients, clientId) ? config.clients[clientId] : null) : {};
+  if (!client || (config.clients && client.secret !== clientSecret)) {
+    return oauthError(401, 'invalid_client', 'Unknown client or wrong client secret');
+  }
+
+  let subject = clientId;
+  let userClaims = {};
+  if (params.grant_type === 'password') {
+    if (!params.username || !params.password) {
+      return oauthError(400, 'invalid_request', 'username and password are required');
+    }
+    const user = config.users ? (Object.hasOwn(config.users, params.username) ? config.users[params.username] : null) : {};
+    if (!user || (config.users && user.password !== params.password)) {
+      return oauthError(400, 'invalid_grant', 'Invalid username or password');
+    }
+    subject = params.username;
+    userClaims = user.claims || {};
+  }
+
+  // Per-request overrides so tests can mint edge cases (expired tokens, extra claims)
+  let requestClaims = {};
+  if (params.claims) {
+    try {
+      requestClaims = JSON.parse(params.claims);
+    } catch (error) {
+      requestClaims = null;
+    }
+    if (!requestClaims || typeof requestClaims !== 'object' || Array.isArray(requestClaims)) {
+      return oauthError(400, 'invalid_request', 'claims must be a JSON object');
+    }
+  }
+  const expiresIn = params.expires_in !== undefined ? parseInt(params.expires_in) : config.tokenTtl;
+  if (isNaN(expiresIn)) {
+    return oauthError(400, 'invalid_request', 'expires_in must be a number of seconds');
+  }
+
+  const scope = params.scope || client.scope || '';
+  const now = Math.floor(Date.now() / 1000);
+  const { privateKey, publicJwk } = await getSigningKey(config.alg);
+
+  const accessToken = await new SignJWT({
+    ...config.claims,
+    ...client.claims,
+    ...userClaims,
+    scope: scope || undefined,
+    client_id: clientId,
+    ...requestClaims,
+  })
+    .setProtectedHeader({ alg: config.alg, typ: 'at+jwt', kid: publicJwk.kid })
+    .setIssuer(config.issuer)
+    .setSubject(subject)
+    .setAudience(params.audience || config.audience || clientId)
+    .setIssuedAt(now)
+    .setNotBefore(now)
+    .setExpirationTime(now + expiresIn)
+    .setJti(crypto.randomUUID())
+    .sign(privateKey);
+
+  const response = {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: expiresIn,
+  };
+  if (scope) {
+    response.scope = scope;
+  }
+
+  // ID token for user logins that ask for openid
+  if (params.grant_type === 'password' && scope.split(' ').includes('openid')) {
+    response.id_token = await new SignJWT({ ...config.claims, ...userClaims, ...requestClaims })
+      .setProtectedHeader({ alg: config.alg, typ: 'JWT', kid: publicJwk.kid })
+      .setIssuer(config.issuer)
+      .setSubject(subject)
+      .setAudience(clientId)
+      .setIssuedAt(now)
+      .setExpirationTime(now + expiresIn)
+      .sign(privateKey);
+  }
+
+  return jsonResponse(response);
+};
+
+// Entry point for the discovery document, JWKS and token endpoint
+export async function handleOidcRequest(request) {
+  const { pathname } = new URL(request.url);
+
+  try {
+    const config = getConfig(request);
+    if (pathname === '/token') {
+      return await handleToken(request, config);
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      return oauthError(405, 'invalid_request', `${pathname} only accepts GET`);
+    }
+    if (pathname === '/.well-known/jwks.json') {
+      return await handleJwks(config);
+    }
+    return handleDiscovery(config);
+  } catch (error) {
+    return oauthError(500, 'server_error', error.message);
+  }
+}